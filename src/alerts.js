@@ -0,0 +1,149 @@
+import { Octokit } from '@octokit/rest'
+import { ethers } from 'ethers'
+import { getErrorMessage } from './errors.js'
+import { calculateStorageRunway, getStorageRunwayDays } from './filecoin.js'
+import { getInput } from './inputs.js'
+import { formatTokenValue } from './tokens.js'
+
+// Import types for JSDoc
+/**
+ * @typedef {import('./types.js').BalanceAlert} BalanceAlert
+ * @typedef {import('./types.js').ParsedInputs} ParsedInputs
+ */
+
+/**
+ * Hidden marker identifying the alert issue of a network, so reruns update it instead of opening another
+ * @param {string} network - Network name
+ * @returns {string} HTML comment
+ */
+const getIssueMarker = (network) => `<!-- filecoin-pin-balance-alert:${network} -->`
+
+/**
+ * Whether any alert threshold is configured
+ * @param {ParsedInputs} inputs - Parsed inputs
+ * @returns {boolean} True when runwayAlertDays, walletAlertBalance, or walletAlertFil is set
+ */
+export function hasBalanceAlerts(inputs) {
+  return inputs.runwayAlertDays != null || inputs.walletAlertBalance != null || inputs.walletAlertFil != null
+}
+
+/**
+ * Compare storage runway and wallet balances against the alert thresholds, emitting a warning annotation for each
+ * one that is crossed
+ * @param {any} synapse - Synapse service
+ * @param {any} status - Payment status from getPaymentStatus
+ * @param {ParsedInputs} inputs - Parsed inputs
+ * @returns {Promise<BalanceAlert[]>} Crossed thresholds, empty when all is well
+ */
+export async function checkBalances(synapse, status, inputs) {
+  const { runwayAlertDays, walletAlertBalance, walletAlertFil, token } = inputs
+
+  /** @type {BalanceAlert[]} */
+  const alerts = []
+  if (runwayAlertDays != null) {
+    const runwayDays = getStorageRunwayDays(status)
+    if (runwayDays != null && runwayDays < runwayAlertDays) {
+      alerts.push({
+        kind: 'runway',
+        message: `Storage runway is ${calculateStorageRunway(status)}, below runwayAlertDays (${runwayAlertDays} days). Deposit ${token} to Filecoin Pay.`,
+      })
+    }
+  }
+
+  if (walletAlertBalance != null) {
+    const balance = await synapse.payments.walletBalance(token)
+    if (balance < walletAlertBalance) {
+      alerts.push({
+        kind: 'wallet-balance',
+        message: `Wallet holds ${formatTokenValue(balance, token)}, below walletAlertBalance (${formatTokenValue(walletAlertBalance, token)}). Future deposits will fail.`,
+      })
+    }
+  }
+
+  if (walletAlertFil != null) {
+    const balance = await synapse.payments.walletBalance()
+    if (balance < walletAlertFil) {
+      alerts.push({
+        kind: 'wallet-fil',
+        message: `Wallet holds ${ethers.formatEther(balance)} FIL, below walletAlertFil (${ethers.formatEther(walletAlertFil)} FIL). Transactions will fail without gas.`,
+      })
+    }
+  }
+
+  for (const alert of alerts) {
+    console.log(`::warning::${alert.message}`)
+  }
+  if (alerts.length === 0) console.log('✓ Storage runway and wallet balances are above the alert thresholds')
+  return alerts
+}
+
+/**
+ * Open or update the alert issue of this network while thresholds are crossed, and close it once they no longer are
+ * @param {any} synapse - Synapse service
+ * @param {BalanceAlert[]} alerts - Result of checkBalances
+ * @param {string} network - Network name
+ */
+export async function reportAlertIssue(synapse, alerts, network) {
+  const token = process.env.GITHUB_TOKEN || getInput('github_token') || ''
+  const [owner, repo] = (process.env.GITHUB_REPOSITORY || '').split('/')
+  if (!token || !owner || !repo) return
+
+  const marker = getIssueMarker(network)
+  try {
+    const octokit = new Octokit({ auth: token })
+    const { data: issues } = await octokit.rest.issues.listForRepo({ owner, repo, state: 'open', per_page: 100 })
+    const existing = issues.find((issue) => !issue.pull_request && issue.body?.includes(marker))
+
+    if (alerts.length === 0) {
+      if (!existing) return
+      await octokit.rest.issues.createComment({
+        owner,
+        repo,
+        issue_number: existing.number,
+        body: `Storage runway and wallet balances are back above the alert thresholds (${getRunUrl()}).`,
+      })
+      await octokit.rest.issues.update({ owner, repo, issue_number: existing.number, state: 'closed' })
+      console.log(`Closed balance alert issue #${existing.number}`)
+      return
+    }
+
+    const wallet = await synapse.getSigner().getAddress()
+    const body = [
+      marker,
+      `The Filecoin upload action found low balances on **${network}** for wallet \`${wallet}\`:`,
+      '',
+      ...alerts.map((alert) => `- ${alert.message}`),
+      '',
+      `Last checked by ${getRunUrl()} at ${new Date().toISOString()}. This issue is closed automatically once the balances recover.`,
+    ].join('\n')
+
+    if (existing) {
+      await octokit.rest.issues.update({ owner, repo, issue_number: existing.number, body })
+      console.log(`Updated balance alert issue #${existing.number}`)
+    } else {
+      const { data: issue } = await octokit.rest.issues.create({
+        owner,
+        repo,
+        title: `Filecoin storage balance is low (${network})`,
+        body,
+      })
+      console.log(`::notice::Opened balance alert issue #${issue.number}`)
+    }
+  } catch (error) {
+    console.warn(
+      `::warning::Failed to update the balance alert issue: ${getErrorMessage(error)}. Ensure the job has \`permissions: issues: write\`.`
+    )
+  }
+}
+
+/**
+ * URL of the current workflow run
+ * @returns {string} Run URL, or 'this workflow' outside GitHub Actions
+ */
+function getRunUrl() {
+  const serverUrl = process.env.GITHUB_SERVER_URL || 'https://github.com'
+  const repository = process.env.GITHUB_REPOSITORY || ''
+  const runId = process.env.GITHUB_RUN_ID || ''
+  if (!repository || !runId) return 'this workflow'
+  return `${serverUrl}/${repository}/actions/runs/${runId}`
+}
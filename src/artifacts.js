@@ -0,0 +1,239 @@
+import { promises as fs } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { DefaultArtifactClient } from '@actions/artifact'
+import { Octokit } from '@octokit/rest'
+import { CID } from 'multiformats/cid'
+import { getErrorMessage } from './errors.js'
+import { getInput } from './inputs.js'
+
+// Import types for JSDoc
+/**
+ * @typedef {import('./types.js').CombinedContext} CombinedContext
+ * @typedef {import('./types.js').ArtifactUploadOptions} ArtifactUploadOptions
+ */
+
+/**
+ * Directory name used inside the artifact for the CAR and context files
+ */
+const ARTIFACT_DIR = 'filecoin-pin-artifacts'
+
+/**
+ * upload_status values whose context points at a piece that is stored on Filecoin
+ */
+const REUSABLE_STATUSES = ['uploaded', 'reused-cache', 'reused-artifact']
+
+/**
+ * Get the workflow artifact name for a root CID
+ * @param {string} ipfsRootCid - Root CID
+ * @returns {string} Artifact name
+ */
+export function getArtifactName(ipfsRootCid) {
+  return `filecoin-pin-${ipfsRootCid}`
+}
+
+/**
+ * Get the name of the workflow artifact holding only the context of a root CID's upload
+ * @param {string} ipfsRootCid - Root CID
+ * @returns {string} Artifact name
+ */
+export function getContextArtifactName(ipfsRootCid) {
+  return `filecoin-pin-context-${ipfsRootCid}`
+}
+
+/**
+ * Check whether an artifact name is a CAR artifact published by publishArtifacts (and not e.g. the ledger)
+ * @param {string} name - Artifact name
+ * @returns {boolean} True for `filecoin-pin-<root CID>`
+ */
+function isCarArtifactName(name) {
+  const prefix = getArtifactName('')
+  if (!name.startsWith(prefix)) return false
+  try {
+    CID.parse(name.slice(prefix.length))
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Build the GitHub UI download URL for an artifact of the current run
+ * @param {number} artifactId - Artifact ID returned by the artifact service
+ * @returns {string} Download URL, or '' when repository/run are unknown
+ */
+function getArtifactDownloadUrl(artifactId) {
+  const serverUrl = process.env.GITHUB_SERVER_URL || 'https://github.com'
+  const repository = process.env.GITHUB_REPOSITORY || ''
+  const runId = process.env.GITHUB_RUN_ID || ''
+  if (!repository || !runId) return ''
+  return `${serverUrl}/${repository}/actions/runs/${runId}/artifacts/${artifactId}`
+}
+
+/**
+ * Write a context file into a fresh artifact directory
+ * @param {string} name - Directory under RUNNER_TEMP holding the artifact's files
+ * @param {Partial<CombinedContext>} context - Context to write
+ * @returns {Promise<{ rootDirectory: string, artifactDir: string, contextPath: string }>} Paths of the artifact
+ */
+async function writeArtifactContext(name, context) {
+  const rootDirectory = join(process.env.RUNNER_TEMP || tmpdir(), name)
+  const artifactDir = join(rootDirectory, ARTIFACT_DIR)
+  await fs.mkdir(artifactDir, { recursive: true })
+  const contextPath = join(artifactDir, 'context.json')
+  await fs.writeFile(contextPath, JSON.stringify(context, null, 2))
+  return { rootDirectory, artifactDir, contextPath }
+}
+
+/**
+ * Publish the context alone as a small artifact that findArtifactUpload can download without the CAR. Only contexts
+ * recording a stored upload are published, so builds and dry runs do not crowd them out of the lookup.
+ * @param {Partial<CombinedContext> & { ipfs_root_cid: string }} context - Context to publish
+ * @param {ArtifactUploadOptions} options - Artifact upload options
+ */
+async function publishContextArtifact(context, options) {
+  if (!REUSABLE_STATUSES.includes(context.upload_status || '')) return
+  const artifactName = getContextArtifactName(context.ipfs_root_cid)
+  try {
+    const { rootDirectory, contextPath } = await writeArtifactContext('filecoin-pin-publish-context', context)
+    await new DefaultArtifactClient().uploadArtifact(artifactName, [contextPath], rootDirectory, options)
+    console.log(`Published context as artifact '${artifactName}'`)
+  } catch (error) {
+    console.warn(`::warning::Failed to publish artifact '${artifactName}': ${getErrorMessage(error)}`)
+  }
+}
+
+/**
+ * Publish the CAR and serialized context as a workflow artifact, and, for a stored upload, the context alone as a
+ * second, small one.
+ * Artifact names are unique within a run: when an earlier job of this run (a `build` job) already published the CAR,
+ * that artifact is reported instead of uploading the CAR again.
+ * @param {Partial<CombinedContext>} context - Context to publish, must include car_path and ipfs_root_cid
+ * @param {ArtifactUploadOptions} [options] - Artifact upload options
+ * @returns {Promise<{ artifact_name: string, car_download_url: string } | undefined>} Artifact details, undefined when publishing failed
+ */
+export async function publishArtifacts(context, options = {}) {
+  const { car_path: carPath, ipfs_root_cid: ipfsRootCid } = context
+  if (!carPath || !ipfsRootCid) return undefined
+
+  const artifactName = getArtifactName(ipfsRootCid)
+  const published = { ...context, ipfs_root_cid: ipfsRootCid, artifact_name: artifactName }
+
+  /** @type {{ artifact_name: string, car_download_url: string } | undefined} */
+  let result
+  try {
+    const client = new DefaultArtifactClient()
+    const { artifacts } = await client.listArtifacts({ latest: true })
+    let id = artifacts.find((artifact) => artifact.name === artifactName)?.id
+    if (id != null) {
+      console.log(`Artifact '${artifactName}' was already published by this run, not uploading the CAR again`)
+    } else {
+      const { rootDirectory, artifactDir, contextPath } = await writeArtifactContext('filecoin-pin-publish', published)
+      const artifactCarPath = join(artifactDir, 'upload.car')
+      await fs.copyFile(carPath, artifactCarPath)
+
+      console.log(`Publishing CAR and context as artifact '${artifactName}' ...`)
+      id = (await client.uploadArtifact(artifactName, [artifactCarPath, contextPath], rootDirectory, options)).id
+    }
+
+    const carDownloadUrl = id != null ? getArtifactDownloadUrl(id) : ''
+    console.log(`::notice::Artifact '${artifactName}' published${carDownloadUrl ? `: ${carDownloadUrl}` : ''}`)
+    result = { artifact_name: artifactName, car_download_url: carDownloadUrl }
+  } catch (error) {
+    console.warn(
+      `::warning::Failed to publish artifact '${artifactName}': ${getErrorMessage(error)}. Ensure the job has \`permissions: actions: write\`.`
+    )
+  }
+
+  // Published on its own, so the upload it records is not lost when the CAR artifact fails
+  await publishContextArtifact({ ...published, ...result }, options)
+  return result
+}
+
+/**
+ * Find an upload of the same root CID recorded in an artifact from an earlier run of this repository
+ * @param {string} ipfsRootCid - Root CID
+ * @param {string} network - Network the current run uploads to
+ * @returns {Promise<CombinedContext | undefined>} Context of the earlier upload, if reusable
+ */
+export async function findArtifactUpload(ipfsRootCid, network) {
+  const token = process.env.GITHUB_TOKEN || getInput('github_token') || ''
+  const [owner, repo] = (process.env.GITHUB_REPOSITORY || '').split('/')
+  if (!token || !owner || !repo) return undefined
+
+  const artifactName = getContextArtifactName(ipfsRootCid)
+  const currentRunId = Number(process.env.GITHUB_RUN_ID || 0)
+
+  try {
+    const octokit = new Octokit({ auth: token })
+    const { data } = await octokit.rest.actions.listArtifactsForRepo({ owner, repo, name: artifactName, per_page: 10 })
+
+    // Only trust artifacts produced by runs of this repository's own code, fork runs could forge the context
+    const candidates = data.artifacts.filter(
+      (artifact) =>
+        !artifact.expired &&
+        artifact.workflow_run?.id != null &&
+        artifact.workflow_run.id !== currentRunId &&
+        artifact.workflow_run.head_repository_id === artifact.workflow_run.repository_id
+    )
+
+    const client = new DefaultArtifactClient()
+    for (const artifact of candidates) {
+      const workflowRunId = /** @type {number} */ (artifact.workflow_run?.id)
+      const path = join(process.env.RUNNER_TEMP || tmpdir(), 'filecoin-pin-previous', String(artifact.id))
+      try {
+        await client.downloadArtifact(artifact.id, {
+          path,
+          findBy: { token, workflowRunId, repositoryOwner: owner, repositoryName: repo },
+        })
+
+        /** @type {CombinedContext} */
+        const previous = JSON.parse(await fs.readFile(join(path, ARTIFACT_DIR, 'context.json'), 'utf8'))
+        if (
+          REUSABLE_STATUSES.includes(previous.upload_status || '') &&
+          previous.ipfs_root_cid === ipfsRootCid &&
+          previous.piece_cid &&
+          previous.data_set_id &&
+          previous.network === network
+        ) {
+          console.log(`Found previous upload of ${ipfsRootCid} in artifact from run ${workflowRunId}`)
+          return previous
+        }
+      } catch (error) {
+        console.warn(`Skipping artifact '${artifactName}' of run ${workflowRunId}: ${getErrorMessage(error)}`)
+      } finally {
+        await fs.rm(path, { recursive: true, force: true })
+      }
+    }
+  } catch (error) {
+    console.warn(
+      `Failed to look up previous upload artifacts: ${getErrorMessage(error)}. Grant \`actions: read\` to enable artifact reuse.`
+    )
+  }
+
+  return undefined
+}
+
+/**
+ * Download the CAR and context published by this action in another workflow run (fork hand-off)
+ * @param {number} workflowRunId - Run that published the artifact
+ * @returns {Promise<{ carPath: string, context: Partial<CombinedContext> } | undefined>} Downloaded files, undefined when the run has no such artifact
+ */
+export async function downloadRunArtifact(workflowRunId) {
+  const token = process.env.GITHUB_TOKEN || getInput('github_token') || ''
+  const [owner, repo] = (process.env.GITHUB_REPOSITORY || '').split('/')
+  if (!token || !owner || !repo) return undefined
+
+  const findBy = { token, workflowRunId, repositoryOwner: owner, repositoryName: repo }
+  const client = new DefaultArtifactClient()
+  const { artifacts } = await client.listArtifacts({ findBy })
+  const artifact = artifacts.find((candidate) => isCarArtifactName(candidate.name))
+  if (!artifact) return undefined
+
+  const path = join(process.env.RUNNER_TEMP || tmpdir(), 'filecoin-pin-handoff')
+  console.log(`Downloading artifact '${artifact.name}' from run ${workflowRunId} ...`)
+  await client.downloadArtifact(artifact.id, { path, findBy })
+
+  const context = JSON.parse(await fs.readFile(join(path, ARTIFACT_DIR, 'context.json'), 'utf8'))
+  return { carPath: join(path, ARTIFACT_DIR, 'upload.car'), context }
+}
@@ -0,0 +1,94 @@
+import { TIME_CONSTANTS } from '@filoz/synapse-sdk'
+import { ERROR_CODES, FilecoinPinError, getErrorMessage } from './errors.js'
+import { getDepositedSince, readLedger } from './ledger.js'
+import { formatSize } from './outputs.js'
+import { formatTokenValue } from './tokens.js'
+
+// Import types for JSDoc
+/**
+ * @typedef {import('./types.js').ParsedInputs} ParsedInputs
+ * @typedef {import('./types.js').UploadEstimate} UploadEstimate
+ */
+
+/**
+ * Window of maxMonthlySpend, rolling
+ */
+const MONTH_MS = 30 * 24 * 60 * 60 * 1000
+
+/**
+ * Fail when the CAR is larger than maxCarSize
+ * @param {number} carSize - CAR size in bytes
+ * @param {ParsedInputs} inputs - Parsed inputs
+ */
+export function checkCarSize(carSize, inputs) {
+  if (inputs.maxCarSize == null || carSize <= inputs.maxCarSize) return
+  throw new FilecoinPinError(
+    `CAR is ${formatSize(carSize)} (${carSize} bytes), above maxCarSize of ${formatSize(inputs.maxCarSize)} (${inputs.maxCarSize} bytes)`,
+    ERROR_CODES.BUDGET_EXCEEDED,
+    { limit: 'maxCarSize' }
+  )
+}
+
+/**
+ * Whether any limit needs the upload's cost estimate
+ * @param {ParsedInputs} inputs - Parsed inputs
+ * @returns {boolean} True when maxDepositPerRun, maxMonthlySpend, or maxUploadCost is set
+ */
+export function hasSpendLimits(inputs) {
+  return inputs.maxDepositPerRun != null || inputs.maxMonthlySpend != null || inputs.maxUploadCost != null
+}
+
+/**
+ * Fail when the planned deposit or the upload's storage cost exceeds a spend limit. Runs before any allowance,
+ * deposit, or upload transaction.
+ * @param {Pick<UploadEstimate, 'topUp'> & Partial<Pick<UploadEstimate, 'ratePerEpoch'>>} estimate - Planned deposit, and the rate of the upload when there is one (see estimateUpload)
+ * @param {ParsedInputs} inputs - Parsed inputs
+ */
+export async function checkSpend(estimate, inputs) {
+  const { maxDepositPerRun, maxMonthlySpend, maxUploadCost, token } = inputs
+  /** @param {bigint} amount */
+  const format = (amount) => formatTokenValue(amount, token)
+  const deposit = estimate.topUp
+  const monthlyCost = (estimate.ratePerEpoch ?? 0n) * TIME_CONSTANTS.EPOCHS_PER_MONTH
+
+  if (maxDepositPerRun != null && deposit > maxDepositPerRun) {
+    throw new FilecoinPinError(
+      `Deposit of ${format(deposit)} needed for minStorageDays exceeds maxDepositPerRun of ${format(maxDepositPerRun)}`,
+      ERROR_CODES.BUDGET_EXCEEDED,
+      { limit: 'maxDepositPerRun' }
+    )
+  }
+
+  if (maxUploadCost != null && monthlyCost > maxUploadCost) {
+    throw new FilecoinPinError(
+      `Storing this upload costs ${format(monthlyCost)} per month, above maxUploadCost of ${format(maxUploadCost)}`,
+      ERROR_CODES.BUDGET_EXCEEDED,
+      { limit: 'maxUploadCost' }
+    )
+  }
+
+  if (maxMonthlySpend != null) {
+    /** @type {bigint} */
+    let spent
+    try {
+      const entries = await readLedger({
+        storage: /** @type {'artifact' | 'branch'} */ (inputs.ledger),
+        branch: inputs.ledgerBranch,
+      })
+      spent = getDepositedSince(entries, { since: Date.now() - MONTH_MS, network: inputs.network, token })
+    } catch (error) {
+      throw new Error(`Cannot enforce maxMonthlySpend, the upload ledger could not be read: ${getErrorMessage(error)}`)
+    }
+
+    if (spent + deposit > maxMonthlySpend) {
+      throw new FilecoinPinError(
+        `Deposits of the last 30 days (${format(spent)}) plus this run's deposit (${format(deposit)}) exceed maxMonthlySpend of ${format(maxMonthlySpend)}`,
+        ERROR_CODES.BUDGET_EXCEEDED,
+        { limit: 'maxMonthlySpend' }
+      )
+    }
+    console.log(`Deposited in the last 30 days: ${format(spent)} of maxMonthlySpend ${format(maxMonthlySpend)}`)
+  }
+
+  console.log(`✓ Within budget: deposit ${format(deposit)}, storage cost ${format(monthlyCost)} per month`)
+}
@@ -1,15 +1,23 @@
+import { stat } from 'node:fs/promises'
 import pc from 'picocolors'
 import pino from 'pino'
-import { mergeAndSaveContext } from './context.js'
+import { publishArtifacts } from './artifacts.js'
+import { getCacheDir, getCacheKey } from './cache.js'
+import { verifyCarFile } from './car.js'
+import { getContextPath, mergeAndSaveContext } from './context.js'
 import { createCarFile } from './filecoin.js'
+import { isForkPullRequest, isForkWorkflowRun } from './fork.js'
 import { readEventPayload } from './github.js'
-import { formatSize } from './outputs.js'
+import { loadHandOff } from './handoff.js'
+import { parseInputs, parseMode, resolveContentPath } from './inputs.js'
+import { formatSize, getStatusLabel, writeOutputs, writeSummary } from './outputs.js'
 
 // Import types for JSDoc
 /**
  * @typedef {import('./types.js').CombinedContext} CombinedContext
  * @typedef {import('./types.js').ParsedInputs} ParsedInputs
  * @typedef {import('./types.js').BuildResult} BuildResult
+ * @typedef {import('./types.js').TargetContext} TargetContext
  */
 
 /**
@@ -41,37 +49,171 @@ async function updateBuildContext() {
 }
 
 /**
- * Run build phase: Create CAR file and store in context
+ * Publish the built CAR and context for a later upload job (`mode: build` or a fork PR run)
+ * @param {ParsedInputs} inputs - Parsed inputs
+ * @param {CombinedContext} context - Build context
+ */
+async function publishBuild(inputs, context) {
+  /** @type {import('./types.js').ArtifactUploadOptions} */
+  const options = {}
+  if (inputs.artifactRetentionDays != null) options.retentionDays = inputs.artifactRetentionDays
+
+  const published = await publishArtifacts(context, options)
+  if (!published && context.upload_status === 'fork-pr-pending') {
+    throw new Error('Fork PR builds must publish the CAR artifact for the trusted upload workflow')
+  }
+  const ctx = published ? await mergeAndSaveContext(published) : context
+
+  await writeOutputs({
+    artifact_name: ctx.artifact_name || '',
+    car_download_url: ctx.car_download_url || '',
+    context_path: getContextPath(),
+    upload_status: ctx.upload_status,
+  })
+  await writeSummary(ctx, getStatusLabel(ctx.upload_status || ''))
+}
+
+/**
+ * Use a CAR built elsewhere (e.g. `ipfs dag export`) instead of packing content: verify its header, single root,
+ * and blocks, and take its root CID and size
+ * @param {string} carPath - Resolved path of the CAR
+ * @param {string} carInput - carPath or path input, for logging and the context
+ * @returns {Promise<BuildResult>} CAR file info
+ */
+async function loadCarFile(carPath, carInput) {
+  console.log(`━━━ Using pre-built CAR ${carInput} ━━━`)
+  const { rootCid, blockCount } = await verifyCarFile(carPath)
+  const { size } = await stat(carPath)
+  console.log(`✓ Verified CAR: root ${rootCid}, ${blockCount} blocks`)
+  return { carPath, ipfsRootCid: rootCid, contentPath: carInput, carSize: size }
+}
+
+/**
+ * Pack content into a CAR, or take a CAR built elsewhere (carPath, or a .car file as path) as is
+ * @param {string} contentPath - Content to pack, relative to the workspace
+ * @param {string} carPath - CAR to upload instead, '' to pack contentPath
+ * @param {ParsedInputs} inputs - Parsed inputs
+ * @param {any} logger - Logger instance
+ * @returns {Promise<BuildResult>} CAR file info
+ */
+async function buildCar(contentPath, carPath, inputs, logger) {
+  if (carPath || /\.car$/i.test(contentPath)) {
+    const carInput = carPath || contentPath
+    const targetPath = resolveContentPath(carInput)
+    if (carPath || (await stat(targetPath)).isFile()) {
+      return await loadCarFile(targetPath, carInput)
+    }
+  }
+  return /** @type {BuildResult} */ (await createCarFile(resolveContentPath(contentPath), contentPath, logger, inputs))
+}
+
+/**
+ * Build one CAR per entry of the `targets` input, for the upload phase to store in one session
+ * @param {ParsedInputs} inputs - Parsed inputs
+ * @param {any} logger - Logger instance
+ */
+async function buildTargets(inputs, logger) {
+  /** @type {TargetContext[]} */
+  const targets = []
+  for (const { name, path } of inputs.targets) {
+    console.log(`━━━ Target ${name}: ${path} ━━━`)
+    const { carPath, ipfsRootCid, carSize, layout } = await buildCar(path, '', inputs, logger)
+    console.log(`IPFS Root CID: ${pc.bold(ipfsRootCid)}`)
+    console.log(`::notice::${name}: IPFS Root CID ${ipfsRootCid}, CAR file size ${formatSize(carSize)}`)
+    targets.push({
+      name,
+      content_path: path,
+      ipfs_root_cid: ipfsRootCid,
+      car_path: carPath,
+      car_size: carSize,
+      ...(layout ? { unixfs_layout: layout } : {}),
+    })
+  }
+
+  await updateBuildContext()
+  await mergeAndSaveContext({ targets, upload_status: 'pending-upload', is_fork: false, mode: inputs.mode })
+
+  // The action's cache steps hold one entry, the upload phase restores and saves one per target itself
+  await writeOutputs({
+    targets: JSON.stringify(
+      Object.fromEntries(
+        targets.map((target) => [target.name, { ipfs_root_cid: target.ipfs_root_cid, car_path: target.car_path }])
+      )
+    ),
+    cache_key: '',
+    cache_dir: '',
+  })
+
+  console.log(`✓ Build complete. ${targets.length} CAR files created and stored in context`)
+  console.log('::notice::Build phase complete. CAR files created.')
+}
+
+/**
+ * Run build phase: Create CAR file (or load the one handed off by a build job) and store in context
  */
 export async function runBuild() {
   const logger = pino({ level: process.env.LOG_LEVEL || 'info' })
 
   console.log('━━━ Build Phase: Creating CAR file ━━━')
 
-  // Check if this is a fork PR first
+  const mode = parseMode()
   const event = await readEventPayload()
-  if (event?.pull_request) {
-    const pr = event.pull_request
-    const isForkPR = pr.head?.repo?.full_name !== pr.base?.repo?.full_name
-
-    if (isForkPR) {
-      console.log('━━━ Fork PR Detected - Building CAR but Blocking Upload ━━━')
-      console.error('::error::Fork PR support is currently disabled. Only same-repo workflows are supported.')
-      console.log('::notice::Building CAR file but upload will be blocked')
-      // update the context with the upload status
-      mergeAndSaveContext({
-        upload_status: 'fork-pr-blocked',
-      })
+  const forkPullRequest = isForkPullRequest(event)
+  const forkWorkflowRun = isForkWorkflowRun(event)
+
+  if (forkPullRequest) {
+    // Fork PR runs get no secrets: build here, a trusted workflow_run job verifies and uploads
+    console.log('━━━ Fork PR Detected - Building CAR for a trusted upload workflow ━━━')
+    console.log('::notice::Fork PR: the CAR is published as an artifact for a trusted workflow_run job to upload')
+  }
+
+  // Upload jobs and fork workflow_runs consume a CAR built elsewhere instead of packing `path`
+  const fromHandOff = mode === 'upload' || forkWorkflowRun
+
+  /** @type {ParsedInputs} */
+  let inputs = parseInputs(fromHandOff ? 'from-cache' : 'compute')
+
+  if (inputs.targets.length > 0) {
+    // The fork hand-off carries a single CAR
+    if (forkPullRequest || forkWorkflowRun) {
+      throw new Error('targets is not supported for fork pull requests, upload a single path instead')
     }
+    await buildTargets(inputs, logger)
+    return
   }
 
-  const { parseInputs, resolveContentPath } = await import('./inputs.js')
-  const inputs = /** @type {ParsedInputs} */ (parseInputs('compute'))
-  const { contentPath } = inputs
-  const targetPath = resolveContentPath(contentPath)
+  /** @type {BuildResult | undefined} */
+  let buildResult
+  if (fromHandOff) {
+    const workflowRunId = inputs.buildRunId || Number(event?.workflow_run?.id || process.env.GITHUB_RUN_ID || 0)
+    const source = inputs.contextPath ? { contextPath: resolveContentPath(inputs.contextPath) } : { workflowRunId }
+    console.log(`━━━ Loading CAR from ${inputs.contextPath || `build run ${workflowRunId}`} ━━━`)
+
+    const handOff = await loadHandOff(source)
+    if (handOff) {
+      buildResult = handOff.buildResult
+      /** @type {Partial<CombinedContext>} */
+      const handOffContext = { content_path: buildResult.contentPath }
+      if (!inputs.contextPath) handOffContext.handoff_run_id = String(workflowRunId)
+      // Only our own build jobs are trusted beyond the verified CAR, a fork build could forge its PR details
+      if (!forkWorkflowRun && handOff.context.pr) handOffContext.pr = handOff.context.pr
+      if (!forkWorkflowRun && handOff.context.unixfs_layout)
+        handOffContext.unixfs_layout = handOff.context.unixfs_layout
+      await mergeAndSaveContext(handOffContext)
+    } else if (mode === 'upload') {
+      throw new Error(
+        `No CAR artifact found in run ${workflowRunId}. Run a \`mode: build\` job first or set \`contextPath\`.`
+      )
+    } else {
+      console.log('No hand-off artifact found in the triggering run, building CAR from path')
+    }
+  }
+
+  if (!buildResult) {
+    if (fromHandOff) inputs = parseInputs('compute')
+    buildResult = await buildCar(inputs.contentPath, inputs.carPath, inputs, logger)
+  }
 
-  // Create CAR file
-  const buildResult = /** @type {BuildResult} */ (await createCarFile(targetPath, contentPath, logger))
   const { carPath, ipfsRootCid, carSize } = buildResult
   console.log(`IPFS Root CID: ${pc.bold(ipfsRootCid)}`)
   console.log(`::notice::IPFS Root CID: ${ipfsRootCid}`)
@@ -89,19 +231,36 @@ export async function runBuild() {
     console.log(`::notice::PR #${event.pull_request.number} context saved`)
   }
 
-  // Determine upload status based on whether this is a fork PR
-  const isForkPR =
-    event?.pull_request && event.pull_request.head?.repo?.full_name !== event.pull_request.base?.repo?.full_name
-  const uploadStatus = isForkPR ? 'fork-pr-blocked' : 'pending-upload'
+  // Build-only runs stop after publishing the CAR, the upload happens in a later job
+  let uploadStatus = 'pending-upload'
+  if (forkPullRequest) uploadStatus = 'fork-pr-pending'
+  else if (mode === 'build') uploadStatus = 'built'
 
   // Update context with CID and CAR info
-  await mergeAndSaveContext({
+  const context = await mergeAndSaveContext({
     ipfs_root_cid: ipfsRootCid,
     car_size: carSize,
     car_path: carPath,
+    ...(buildResult.layout ? { unixfs_layout: buildResult.layout } : {}),
     upload_status: uploadStatus,
+    is_fork: forkPullRequest || forkWorkflowRun,
+    mode,
   })
 
+  // The cache step between build and upload is keyed by the root CID
+  await writeOutputs({
+    ipfs_root_cid: ipfsRootCid,
+    car_path: carPath,
+    cache_key: getCacheKey(ipfsRootCid),
+    cache_dir: getCacheDir(ipfsRootCid),
+  })
+
+  if (uploadStatus !== 'pending-upload') {
+    await publishBuild(inputs, context)
+    console.log('✓ CAR and context published. A later upload job can now verify and upload it.')
+    return
+  }
+
   console.log('✓ Build complete. CAR file created and stored in context')
   console.log('::notice::Build phase complete. CAR file created.')
 }
@@ -1,5 +1,7 @@
 import { promises as fs } from 'node:fs'
+import { tmpdir } from 'node:os'
 import { join } from 'node:path'
+import { restoreCache, saveCache } from '@actions/cache'
 import { getErrorMessage } from './errors.js'
 
 // Import types for JSDoc
@@ -70,3 +72,106 @@ export async function mirrorToStandardCache(workspace, ipfsRootCid, contextText)
     console.warn('Failed to mirror context into action-context/context.json:', getErrorMessage(error))
   }
 }
+
+/**
+ * Get the actions/cache key for uploads of a root CID
+ * @param {string} ipfsRootCid - Root CID
+ * @returns {string} Cache key
+ */
+export function getCacheKey(ipfsRootCid) {
+  return `filecoin-pin-v1-${ipfsRootCid}`
+}
+
+/**
+ * Get the directory restored and saved by actions/cache for a root CID
+ * @param {string} ipfsRootCid - Root CID
+ * @returns {string} Cache directory path
+ */
+export function getCacheDir(ipfsRootCid) {
+  return join(process.env.RUNNER_TEMP || tmpdir(), 'filecoin-pin-cache', ipfsRootCid)
+}
+
+/**
+ * Find a previous upload of the same root CID in the restored cache
+ * @param {string} ipfsRootCid - Root CID
+ * @param {string} network - Network the current run uploads to
+ * @returns {Promise<CombinedContext | undefined>} Cached upload context, if reusable
+ */
+export async function findCachedUpload(ipfsRootCid, network) {
+  /** @type {CombinedContext} */
+  let cached
+  try {
+    cached = await readCachedContext(getCacheDir(ipfsRootCid))
+  } catch {
+    return undefined
+  }
+
+  if (cached.ipfs_root_cid !== ipfsRootCid || !cached.piece_cid || !cached.data_set_id) {
+    return undefined
+  }
+
+  // A piece stored on calibration says nothing about mainnet (and vice versa)
+  if (cached.network && cached.network !== network) {
+    console.log(`Cached upload for ${ipfsRootCid} was made on ${cached.network}, not reusing it on ${network}`)
+    return undefined
+  }
+
+  return cached
+}
+
+/**
+ * Record a completed upload so later runs with the same root CID can reuse it
+ * @param {CombinedContext} context - Context of the completed upload
+ */
+export async function saveUploadToCache(context) {
+  const ipfsRootCid = context.ipfs_root_cid
+  if (!ipfsRootCid) return
+
+  try {
+    await writeCachedContext(getCacheDir(ipfsRootCid), {
+      ipfs_root_cid: ipfsRootCid,
+      piece_cid: context.piece_cid,
+      piece_id: context.piece_id,
+      data_set_id: context.data_set_id,
+      provider: context.provider,
+      preview_url: context.preview_url,
+      network: context.network,
+      car_size: context.car_size,
+      uploads: context.uploads,
+    })
+  } catch (error) {
+    console.warn('Failed to write upload cache:', getErrorMessage(error))
+  }
+}
+
+/**
+ * Restore the upload cache entry of a root CID. Single-target runs restore theirs with the action's actions/cache
+ * steps; a multi-target run has one entry per target, which a composite action cannot loop over.
+ * @param {string} ipfsRootCid - Root CID
+ * @returns {Promise<boolean>} True when an entry was restored
+ */
+export async function restoreUploadCache(ipfsRootCid) {
+  try {
+    return (await restoreCache([getCacheDir(ipfsRootCid)], getCacheKey(ipfsRootCid))) != null
+  } catch (error) {
+    console.warn(`Failed to restore upload cache of ${ipfsRootCid}: ${getErrorMessage(error)}`)
+    return false
+  }
+}
+
+/**
+ * Record a completed upload and save its cache entry (see restoreUploadCache)
+ * @param {CombinedContext} context - Context of the completed upload
+ */
+export async function saveUploadCache(context) {
+  const ipfsRootCid = context.ipfs_root_cid
+  if (!ipfsRootCid) return
+
+  await saveUploadToCache(context)
+  try {
+    await saveCache([getCacheDir(ipfsRootCid)], getCacheKey(ipfsRootCid))
+  } catch (error) {
+    // Another run saved the same key first, or the cache service is unavailable
+    console.warn(`Failed to save upload cache of ${ipfsRootCid}: ${getErrorMessage(error)}`)
+  }
+}
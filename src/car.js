@@ -0,0 +1,164 @@
+import { createReadStream, createWriteStream, promises as fs } from 'node:fs'
+import { Readable } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import { CarBlockIterator, CarBufferWriter, CarWriter } from '@ipld/car'
+import { equals } from 'multiformats/bytes'
+import { CID } from 'multiformats/cid'
+import { identity } from 'multiformats/hashes/identity'
+import { sha256, sha512 } from 'multiformats/hashes/sha2'
+import { ERROR_CODES, FilecoinPinError, getErrorMessage } from './errors.js'
+
+/**
+ * Hashers able to re-derive block CIDs, keyed by multihash code
+ * @type {Record<number, { digest: (bytes: Uint8Array) => any }>}
+ */
+const HASHERS = {
+  [sha256.code]: sha256,
+  [sha512.code]: sha512,
+  [identity.code]: identity,
+}
+
+/**
+ * Verify a CAR file: it must have exactly one root, contain the root block,
+ * and every block must hash to its CID.
+ * @param {string} carPath - Path to the CAR file
+ * @param {string} [expectedRootCid] - Root CID the CAR is expected to have
+ * @returns {Promise<{ rootCid: string, blockCount: number }>} Verified root CID and block count
+ */
+export async function verifyCarFile(carPath, expectedRootCid) {
+  return await verifyCar(createReadStream(carPath), expectedRootCid, carPath)
+}
+
+/**
+ * Verify CAR bytes from any source (file stream, HTTP response), see verifyCarFile
+ * @param {AsyncIterable<Uint8Array> | Uint8Array} source - CAR byte stream, or the whole CAR
+ * @param {string} [expectedRootCid] - Root CID the CAR is expected to have
+ * @param {string} [label] - Where the bytes came from, for error messages
+ * @param {{ part?: boolean }} [options] - `part`: one part of a split CAR (see splitCarFile), which may lack the root block
+ * @returns {Promise<{ rootCid: string, blockCount: number }>} Verified root CID and block count
+ */
+export async function verifyCar(source, expectedRootCid, label = 'CAR', options = {}) {
+  /** @type {CarBlockIterator} */
+  let iterator
+  /** @type {CID[]} */
+  let roots
+  try {
+    iterator =
+      source instanceof Uint8Array
+        ? await CarBlockIterator.fromBytes(source)
+        : await CarBlockIterator.fromIterable(source)
+    roots = await iterator.getRoots()
+  } catch (error) {
+    throw new FilecoinPinError(`Invalid CAR header in ${label}: ${getErrorMessage(error)}`, ERROR_CODES.INVALID_CAR)
+  }
+
+  const [root] = roots
+  if (!root || roots.length !== 1) {
+    throw new FilecoinPinError(`CAR must have exactly one root, found ${roots.length}`, ERROR_CODES.INVALID_CAR)
+  }
+
+  if (expectedRootCid && !root.equals(CID.parse(expectedRootCid))) {
+    throw new FilecoinPinError(
+      `CAR root ${root.toString()} does not match expected root ${expectedRootCid}`,
+      ERROR_CODES.INVALID_CAR
+    )
+  }
+
+  let hasRootBlock = false
+  let blockCount = 0
+  try {
+    for await (const { cid, bytes } of iterator) {
+      const hasher = HASHERS[cid.multihash.code]
+      if (!hasher) {
+        throw new Error(`unsupported hash function 0x${cid.multihash.code.toString(16)} in block ${cid}`)
+      }
+      const digest = await hasher.digest(bytes)
+      if (!equals(digest.bytes, cid.multihash.bytes)) {
+        throw new Error(`block ${cid} does not match its content`)
+      }
+      if (cid.equals(root)) hasRootBlock = true
+      blockCount++
+    }
+  } catch (error) {
+    throw new FilecoinPinError(`CAR verification failed: ${getErrorMessage(error)}`, ERROR_CODES.INVALID_CAR)
+  }
+
+  if (!hasRootBlock && !options.part) {
+    throw new FilecoinPinError(`CAR does not contain its root block ${root.toString()}`, ERROR_CODES.INVALID_CAR)
+  }
+
+  return { rootCid: root.toString(), blockCount }
+}
+
+/**
+ * @typedef {Object} CarPartWriter
+ * @property {import('@ipld/car/api').BlockWriter} writer - Writer for the part's blocks
+ * @property {Promise<void>} written - Settles once the part is flushed to disk
+ * @property {string} carPath - Path of the part
+ * @property {number} carSize - Bytes written so far, header included
+ */
+
+/**
+ * Start writing one part of a split CAR
+ * @param {CID[]} roots - Roots of the original CAR
+ * @param {string} carPath - Path of the part
+ * @param {number} headerSize - Encoded size of the CAR header
+ * @returns {CarPartWriter} Part writer
+ */
+function startCarPart(roots, carPath, headerSize) {
+  const { writer, out } = CarWriter.create(roots)
+  const written = pipeline(Readable.from(out), createWriteStream(carPath))
+  return { writer, written, carPath, carSize: headerSize }
+}
+
+/**
+ * Finish writing one part of a split CAR
+ * @param {CarPartWriter} part - Part writer
+ * @returns {Promise<{ carPath: string, carSize: number }>} Written part
+ */
+async function finishCarPart(part) {
+  await part.writer.close()
+  await part.written
+  return { carPath: part.carPath, carSize: part.carSize }
+}
+
+/**
+ * Split a CAR into parts of at most maxPartSize bytes, written next to it as `<name>.part-<n>.car`.
+ * Every part keeps the original root in its header, so each one is a valid CAR for the root CID and a provider
+ * indexing the pieces can serve the whole DAG. Only the part holding the root block contains it.
+ * @param {string} carPath - Path to the CAR file
+ * @param {number} maxPartSize - Maximum size of a part in bytes
+ * @returns {Promise<Array<{ carPath: string, carSize: number }>>} Parts in order, just the CAR itself when it fits
+ */
+export async function splitCarFile(carPath, maxPartSize) {
+  const { size } = await fs.stat(carPath)
+  if (size <= maxPartSize) return [{ carPath, carSize: size }]
+
+  const iterator = await CarBlockIterator.fromIterable(createReadStream(carPath))
+  const roots = await iterator.getRoots()
+  const headerSize = CarBufferWriter.headerLength({ roots })
+
+  /** @type {Array<{ carPath: string, carSize: number }>} */
+  const parts = []
+  /** @type {CarPartWriter | undefined} */
+  let part
+  for await (const block of iterator) {
+    const blockSize = CarBufferWriter.blockLength(block)
+    if (headerSize + blockSize > maxPartSize) {
+      throw new FilecoinPinError(
+        `Block ${block.cid} (${blockSize} bytes) does not fit in a piece of ${maxPartSize} bytes`,
+        ERROR_CODES.INVALID_CAR
+      )
+    }
+    if (part && part.carSize + blockSize > maxPartSize) {
+      parts.push(await finishCarPart(part))
+      part = undefined
+    }
+    part ??= startCarPart(roots, `${carPath.replace(/\.car$/, '')}.part-${parts.length + 1}.car`, headerSize)
+    await part.writer.put(block)
+    part.carSize += blockSize
+  }
+  if (part) parts.push(await finishCarPart(part))
+
+  return parts
+}
@@ -0,0 +1,102 @@
+import pino from 'pino'
+import { mergeAndSaveContext } from './context.js'
+import { findPrunablePieces, removePieces, terminateDataSets } from './datasets.js'
+import { ERROR_CODES, FilecoinPinError, getErrorMessage } from './errors.js'
+import { cleanupSynapse, initializeSynapse } from './filecoin.js'
+import { readEventPayload } from './github.js'
+import { parseInputs } from './inputs.js'
+import { readLedger } from './ledger.js'
+import { appendSummary, getCleanupSummary, writeOutputs } from './outputs.js'
+
+// Import types for JSDoc
+/**
+ * @typedef {import('./types.js').ParsedInputs} ParsedInputs
+ * @typedef {import('./types.js').RemovedPiece} RemovedPiece
+ * @typedef {import('./types.js').TerminatedDataSet} TerminatedDataSet
+ * @typedef {import('./types.js').OrphanedPiece} OrphanedPiece
+ */
+
+/**
+ * Run cleanup mode: remove the pieces of a closed pull request and/or pull request pieces older than
+ * cleanupOlderThanDays from this repository's data sets, and the pieces failed uploads left behind
+ */
+export async function runCleanup() {
+  const logger = pino({ level: process.env.LOG_LEVEL || 'info' })
+
+  console.log('━━━ Cleanup: Removing Pull Request Pieces ━━━')
+
+  /** @type {ParsedInputs} */
+  const inputs = parseInputs('cleanup')
+  const { cleanupOlderThanDays, dryRun } = inputs
+
+  // A `pull_request: closed` trigger cleans up the pull request that was closed
+  const event = await readEventPayload()
+  const pullRequest = inputs.cleanupPullRequest ?? (event.action === 'closed' ? event.pull_request?.number : undefined)
+  if (pullRequest == null && cleanupOlderThanDays == null && inputs.ledger === 'off') {
+    throw new FilecoinPinError(
+      'mode: cleanup needs cleanupPullRequest or cleanupOlderThanDays, a pull_request closed event, or the upload ledger',
+      ERROR_CODES.INVALID_INPUT
+    )
+  }
+
+  const repository = process.env.GITHUB_REPOSITORY || ''
+  if (!repository) {
+    throw new FilecoinPinError('GITHUB_REPOSITORY is not set', ERROR_CODES.INVALID_INPUT)
+  }
+
+  // Failed uploads record the pieces their providers kept in the ledger
+  /** @type {OrphanedPiece[]} */
+  let orphanedPieces = []
+  if (inputs.ledger !== 'off') {
+    try {
+      const entries = await readLedger({ storage: inputs.ledger, branch: inputs.ledgerBranch })
+      orphanedPieces = entries.flatMap((entry) => entry.orphaned_pieces || [])
+    } catch (error) {
+      console.log(`::warning::Cannot read orphaned pieces from the upload ledger: ${getErrorMessage(error)}`)
+    }
+  }
+
+  const synapse = await initializeSynapse(inputs, logger)
+  const { pieces: prunable, closedDataSets } = await findPrunablePieces(synapse, {
+    repository,
+    pullRequest,
+    olderThanDays: cleanupOlderThanDays,
+    orphanedPieces,
+  })
+  console.log(`Found ${prunable.length} piece(s) to remove`)
+
+  /** @type {RemovedPiece[]} */
+  const removed = dryRun
+    ? prunable.map(({ dataSet, pieceId, pieceCid, reason }) => ({
+        data_set_id: String(dataSet.pdpVerifierDataSetId),
+        piece_id: String(pieceId),
+        piece_cid: pieceCid,
+        reason,
+      }))
+    : await removePieces(prunable)
+
+  // The closed pull request's data sets are empty now, terminating them stops their payment rails
+  /** @type {TerminatedDataSet[]} */
+  const terminated = await terminateDataSets(synapse, closedDataSets, removed, { dryRun })
+
+  const failed = removed.filter((piece) => piece.error)
+  const failedTerminations = terminated.filter((dataSet) => dataSet.error)
+  const uploadStatus = dryRun ? 'dry-run' : 'cleaned-up'
+  await mergeAndSaveContext({ network: inputs.network, upload_status: uploadStatus })
+  await writeOutputs({
+    upload_status: uploadStatus,
+    removed_pieces: JSON.stringify(removed),
+    terminated_data_sets: JSON.stringify(terminated),
+  })
+  await appendSummary(getCleanupSummary(removed, terminated, dryRun))
+  await cleanupSynapse()
+
+  if (failed.length > 0 || failedTerminations.length > 0) {
+    throw new FilecoinPinError(
+      failed.length > 0
+        ? `Failed to remove ${failed.length} of ${removed.length} pieces`
+        : `Failed to terminate ${failedTerminations.length} of ${terminated.length} data sets`,
+      ERROR_CODES.CLEANUP_FAILED
+    )
+  }
+}
@@ -1,7 +1,7 @@
 import { Octokit } from '@octokit/rest'
 import { getGlobalContext } from '../context.js'
 import { getErrorMessage } from '../errors.js'
-import { getOutputSummary } from '../outputs.js'
+import { getOutputSummary, getStatusLabel } from '../outputs.js'
 
 /**
  * @typedef {import('../types.js').CommentPRParams} CommentPRParams
@@ -14,7 +14,9 @@ import { getOutputSummary } from '../outputs.js'
  * @returns
  */
 const generateCommentBody = (context) => {
-  return `${getOutputSummary(context, 'Uploaded')}
+  const reason = context.upload_status === 'fork-pr-blocked' && context.fork_gate_reason
+  const status = `${getStatusLabel(context.upload_status)}${reason ? `: ${reason}` : ''}`
+  return `${getOutputSummary(context, status)}
   <a href="${getWorkflowRunUrl()}">More details</a>`
 }
 
@@ -57,11 +59,6 @@ export async function commentOnPR(ctx) {
     resolvedPrNumber = envPrNumber ? parseInt(envPrNumber, 10) : undefined
   }
 
-  if (!ipfs_root_cid || !data_set_id || !piece_cid || !resolvedPrNumber) {
-    console.log('Skipping PR comment: missing required information (likely not a PR event)')
-    return
-  }
-
   // If this is a fork PR that was blocked, we need to comment with explanation
   if (ctx.pr && ctx.upload_status === 'fork-pr-blocked') {
     console.log('Posting comment for blocked fork PR')
@@ -71,6 +68,19 @@ export async function commentOnPR(ctx) {
     if (!piece_cid) piece_cid = 'N/A (fork PR blocked)'
   }
 
+  // Multi-target runs list every target, the comment is posted once one of them is stored
+  const storedTarget = ctx.targets?.find((target) => target.piece_cid)
+  if (storedTarget) {
+    ipfs_root_cid ||= storedTarget.ipfs_root_cid
+    data_set_id ||= storedTarget.data_set_id
+    piece_cid ||= storedTarget.piece_cid
+  }
+
+  if (!ipfs_root_cid || !data_set_id || !piece_cid || !resolvedPrNumber) {
+    console.log('Skipping PR comment: missing required information (likely not a PR event)')
+    return
+  }
+
   const [owner, repo] = github_repository.split('/')
   const issue_number = resolvedPrNumber
 
@@ -0,0 +1,317 @@
+import { promises as fs } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { basename, dirname, join } from 'node:path'
+
+// Import types for JSDoc
+/**
+ * @typedef {import('./types.js').ParsedInputs} ParsedInputs
+ * @typedef {Pick<ParsedInputs, 'include' | 'exclude' | 'filecoinIgnore' | 'includeHidden' | 'symlinks' | 'deterministic'>} ContentOptions
+ * @typedef {{ regex: RegExp, negate: boolean, directoryOnly: boolean }} PathRule
+ * @typedef {{ include: PathRule[], exclude: PathRule[], options: ContentOptions, timestamp: Date, files: number, excluded: number }} StagingState
+ */
+
+/**
+ * gitignore-style file at the root of `path` listing content to leave out of the CAR
+ */
+export const IGNORE_FILE = '.filecoinignore'
+
+/**
+ * Convert a glob to a regular expression source: `*` and `?` stay within a path segment, `**` spans segments,
+ * `[abc]`/`[!abc]` are character classes and `{a,b}` alternatives
+ * @param {string} glob - Glob, without leading or trailing slash
+ * @returns {string} Regular expression source, unanchored
+ */
+function globToRegExpSource(glob) {
+  let source = ''
+  for (let i = 0; i < glob.length; i++) {
+    const char = /** @type {string} */ (glob[i])
+    if (char === '*' && glob[i + 1] === '*') {
+      i++
+      // `**/` matches zero or more directories, any other `**` everything from here on
+      if (glob[i + 1] === '/') {
+        i++
+        source += '(?:.*/)?'
+      } else {
+        source += '.*'
+      }
+    } else if (char === '*') {
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const end = glob.indexOf(']', i + 2)
+      const set = glob.slice(i + 1, end).replace(/\\/g, '\\\\')
+      source += set.startsWith('!') ? `[^${set.slice(1)}]` : `[${set}]`
+      i = end
+    } else if (char === '{' && glob.indexOf('}', i) !== -1) {
+      const end = glob.indexOf('}', i)
+      source += `(?:${glob
+        .slice(i + 1, end)
+        .split(',')
+        .map((alternative) => globToRegExpSource(alternative))
+        .join('|')})`
+      i = end
+    } else {
+      source += char.replace(/[.+^$()|\\{}[\]]/g, '\\$&')
+    }
+  }
+  return source
+}
+
+/**
+ * Parse a gitignore-style pattern. Patterns without a slash match at any depth, patterns with one are relative to
+ * the content root, a trailing slash only matches directories and a leading `!` re-includes what earlier patterns
+ * excluded.
+ * @param {string} pattern - Glob pattern
+ * @returns {PathRule} Rule
+ */
+export function parsePathPattern(pattern) {
+  let glob = pattern.trim()
+  const negate = glob.startsWith('!')
+  if (negate) glob = glob.slice(1)
+  const directoryOnly = glob.endsWith('/')
+  glob = glob.replace(/\/+$/, '')
+  const anchored = glob.includes('/')
+  glob = glob.replace(/^\/+/, '')
+
+  const source = globToRegExpSource(glob)
+  return { regex: new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`), negate, directoryOnly }
+}
+
+/**
+ * Whether a rule matches a path
+ * @param {PathRule} rule - Rule
+ * @param {string} relativePath - Path relative to the content root, with forward slashes
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @returns {boolean} True when the rule matches
+ */
+function matchesRule(rule, relativePath, isDirectory) {
+  return (isDirectory || !rule.directoryOnly) && rule.regex.test(relativePath)
+}
+
+/**
+ * Whether the exclude rules leave a path out, the last matching rule wins (as in .gitignore)
+ * @param {PathRule[]} rules - Exclude rules, in order
+ * @param {string} relativePath - Path relative to the content root
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @returns {boolean} True when the path is excluded
+ */
+function isExcluded(rules, relativePath, isDirectory) {
+  let excluded = false
+  for (const rule of rules) {
+    if (matchesRule(rule, relativePath, isDirectory)) excluded = !rule.negate
+  }
+  return excluded
+}
+
+/**
+ * Whether a file is selected by the include rules: the file or one of its directories matches one of them
+ * @param {PathRule[]} rules - Include rules, empty to include everything
+ * @param {string} relativePath - File path relative to the content root
+ * @returns {boolean} True when the file is included
+ */
+function isIncluded(rules, relativePath) {
+  if (rules.length === 0) return true
+  const segments = relativePath.split('/')
+  return rules.some((rule) =>
+    segments.some((_, index) => matchesRule(rule, segments.slice(0, index + 1).join('/'), index < segments.length - 1))
+  )
+}
+
+/**
+ * Whether packing needs a staged copy of `path`, i.e. any content option differs from packing it as is
+ * @param {ContentOptions} options - Content options
+ * @param {string} targetPath - Resolved content path
+ * @returns {Promise<boolean>} True when stageContent should run
+ */
+export async function needsStaging(options, targetPath) {
+  if (options.include.length > 0 || options.exclude.length > 0) return true
+  if (!options.includeHidden || options.symlinks !== 'follow' || options.deterministic) return true
+  if (!options.filecoinIgnore) return false
+  return await fs
+    .access(join(targetPath, IGNORE_FILE))
+    .then(() => true)
+    .catch(() => false)
+}
+
+/**
+ * Timestamp of every staged entry in deterministic mode: SOURCE_DATE_EPOCH when set (reproducible builds
+ * convention), else the Unix epoch
+ * @returns {Date} Timestamp
+ */
+function getNormalizedTimestamp() {
+  const epoch = Number(process.env.SOURCE_DATE_EPOCH)
+  return new Date(Number.isFinite(epoch) && epoch > 0 ? epoch * 1000 : 0)
+}
+
+/**
+ * Copy the content under `path` that passes the include, exclude, and .filecoinignore rules into a staging
+ * directory, so the CAR only holds what was selected. Entries are copied in name order; in deterministic mode
+ * every file gets mode 0644 (0755 when executable), every directory 0755, and all the same mtime, so the same
+ * source yields the same root CID wherever it is built. Otherwise the source's modes and mtimes are kept.
+ * @param {string} targetPath - Resolved content path (file or directory)
+ * @param {ContentOptions} options - Content options
+ * @returns {Promise<{ path: string, files: number, excluded: number, cleanup: () => Promise<void> }>} Staged copy of the content with the same base name, and counts of copied and excluded files
+ */
+export async function stageContent(targetPath, options) {
+  const stagingRoot = join(process.env.RUNNER_TEMP || tmpdir(), 'filecoin-pin-staging')
+  await fs.rm(stagingRoot, { recursive: true, force: true })
+  const stagedPath = join(stagingRoot, basename(targetPath))
+  await fs.mkdir(dirname(stagedPath), { recursive: true })
+
+  const stat = await fs.stat(targetPath)
+  // The ignore file leaves itself out of the CAR, `exclude` patterns apply after its own
+  const ignoreRules =
+    stat.isDirectory() && options.filecoinIgnore
+      ? [parsePathPattern(`/${IGNORE_FILE}`), ...(await readIgnoreFile(join(targetPath, IGNORE_FILE)))]
+      : []
+
+  /** @type {StagingState} */
+  const state = {
+    include: options.include.map(parsePathPattern),
+    exclude: [...ignoreRules, ...options.exclude.map(parsePathPattern)],
+    options,
+    timestamp: getNormalizedTimestamp(),
+    files: 0,
+    excluded: 0,
+  }
+
+  if (stat.isDirectory()) {
+    await stageDirectory(targetPath, stagedPath, '', state, new Set([await fs.realpath(targetPath)]))
+  } else {
+    const name = basename(targetPath)
+    if (isExcluded(state.exclude, name, false) || !isIncluded(state.include, name)) {
+      throw new Error(`${name} is excluded by the include/exclude patterns, nothing left to pack`)
+    }
+    await stageFile(targetPath, stagedPath, stat, state)
+  }
+
+  if (state.files === 0) {
+    throw new Error('No files left to pack after applying the include, exclude, and .filecoinignore patterns')
+  }
+
+  return {
+    path: stagedPath,
+    files: state.files,
+    excluded: state.excluded,
+    cleanup: async () => await fs.rm(stagingRoot, { recursive: true, force: true }),
+  }
+}
+
+/**
+ * Read the rules of a .filecoinignore file, none when it does not exist
+ * @param {string} path - Path to the ignore file
+ * @returns {Promise<PathRule[]>} Rules, in file order
+ */
+async function readIgnoreFile(path) {
+  /** @type {string} */
+  let text
+  try {
+    text = await fs.readFile(path, 'utf8')
+  } catch {
+    return []
+  }
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'))
+    .map(parsePathPattern)
+}
+
+/**
+ * Stage the selected entries of a directory, recursively
+ * @param {string} source - Source directory
+ * @param {string} destination - Staged directory
+ * @param {string} relativePath - Path of the directory relative to the content root ('' for the root)
+ * @param {StagingState} state - Rules, options, and counters
+ * @param {Set<string>} ancestors - Real paths of the directories being staged, to detect symlink loops
+ * @returns {Promise<boolean>} Whether the directory was created
+ */
+async function stageDirectory(source, destination, relativePath, state, ancestors) {
+  const entries = await fs.readdir(source, { withFileTypes: true })
+  entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+
+  // With include patterns, directories holding no included file are left out
+  let created = false
+  const create = async () => {
+    if (!created) await fs.mkdir(destination, { recursive: true })
+    created = true
+  }
+  if (state.include.length === 0) await create()
+
+  for (const entry of entries) {
+    const entryPath = join(source, entry.name)
+    const entryRelativePath = relativePath ? `${relativePath}/${entry.name}` : entry.name
+
+    if (!state.options.includeHidden && entry.name.startsWith('.')) {
+      state.excluded++
+      continue
+    }
+    if (entry.isSymbolicLink() && state.options.symlinks === 'skip') {
+      state.excluded++
+      continue
+    }
+
+    // Symlinks are followed: the CAR holds what they point to
+    const stat = entry.isSymbolicLink() ? await fs.stat(entryPath) : await fs.lstat(entryPath)
+    if (isExcluded(state.exclude, entryRelativePath, stat.isDirectory())) {
+      state.excluded++
+      continue
+    }
+
+    if (stat.isDirectory()) {
+      const realPath = await fs.realpath(entryPath)
+      if (ancestors.has(realPath)) {
+        throw new Error(`Symlink loop at ${entryRelativePath}, set symlinks to "skip" or exclude it`)
+      }
+      // A staged subdirectory creates its parents too
+      const ancestry = new Set([...ancestors, realPath])
+      if (await stageDirectory(entryPath, join(destination, entry.name), entryRelativePath, state, ancestry)) {
+        created = true
+      }
+    } else if (stat.isFile()) {
+      if (!isIncluded(state.include, entryRelativePath)) {
+        state.excluded++
+        continue
+      }
+      await create()
+      await stageFile(entryPath, join(destination, entry.name), stat, state)
+    } else {
+      // Sockets, FIFOs, and devices have no UnixFS representation
+      state.excluded++
+    }
+  }
+
+  if (created) await setMetadata(destination, await fs.stat(source), state, true)
+  return created
+}
+
+/**
+ * Copy a file into the staging directory
+ * @param {string} source - Source file
+ * @param {string} destination - Staged file
+ * @param {import('node:fs').Stats} stat - Stats of the source (of the symlink target when following one)
+ * @param {StagingState} state - Rules, options, and counters
+ */
+async function stageFile(source, destination, stat, state) {
+  await fs.copyFile(source, destination)
+  await setMetadata(destination, stat, state, false)
+  state.files++
+}
+
+/**
+ * Set the mode and mtime of a staged entry, normalized in deterministic mode, else copied from the source
+ * @param {string} path - Staged entry
+ * @param {import('node:fs').Stats} stat - Stats of the source
+ * @param {StagingState} state - Options and normalized timestamp
+ * @param {boolean} isDirectory - Whether the entry is a directory
+ */
+async function setMetadata(path, stat, state, isDirectory) {
+  if (state.options.deterministic) {
+    await fs.chmod(path, isDirectory || stat.mode & 0o111 ? 0o755 : 0o644)
+    await fs.utimes(path, state.timestamp, state.timestamp)
+  } else {
+    await fs.chmod(path, stat.mode & 0o777)
+    await fs.utimes(path, stat.atime, stat.mtime)
+  }
+}
@@ -1,5 +1,11 @@
+import { promises as fs } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { readCachedContext } from './cache.js'
+
 /**
  * @typedef {import('./types.js').CombinedContext} CombinedContext
+ * @typedef {import('./types.js').PieceManifest} PieceManifest
  */
 
 /**
@@ -11,12 +17,57 @@ export function getGlobalContext() {
   return globalContext
 }
 
+/**
+ * Directory holding the context shared between the action's steps
+ * @returns {string} Context directory path
+ */
+export function getContextDir() {
+  return join(process.env.RUNNER_TEMP || tmpdir(), 'filecoin-pin-context')
+}
+
+/**
+ * Path of the context file shared between steps (and published with the CAR by `mode: build`)
+ * @returns {string} Context file path
+ */
+export function getContextPath() {
+  return join(getContextDir(), 'context.json')
+}
+
+/**
+ * Write the piece manifest next to the context file
+ * @param {PieceManifest} manifest - Piece manifest
+ * @param {string} [name] - Target of a multi-target run, to keep the manifests apart
+ * @returns {Promise<string>} Path of the manifest file
+ */
+export async function savePieceManifest(manifest, name) {
+  const manifestPath = join(getContextDir(), name ? `piece-manifest-${name}.json` : 'piece-manifest.json')
+  await fs.mkdir(getContextDir(), { recursive: true })
+  await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2))
+  return manifestPath
+}
+
+/**
+ * Load context saved by a previous step of this job into memory
+ * @returns {Promise<Partial<CombinedContext>>}
+ */
+export async function loadContext() {
+  try {
+    const saved = await readCachedContext(getContextDir())
+    globalContext = { ...saved, ...globalContext }
+  } catch {
+    // No context saved yet (e.g. build step did not run)
+  }
+  return globalContext
+}
+
 /**
  * Merge the given partial context into existing context and save it.
  * @param {Partial<CombinedContext>} partial
- * @returns {CombinedContext}
+ * @returns {Promise<CombinedContext>}
  */
-export function mergeAndSaveContext(partial) {
+export async function mergeAndSaveContext(partial) {
   globalContext = { ...globalContext, ...partial }
+  await fs.mkdir(getContextDir(), { recursive: true })
+  await fs.writeFile(getContextPath(), JSON.stringify(globalContext, null, 2))
   return globalContext
 }
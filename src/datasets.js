@@ -0,0 +1,257 @@
+import { METADATA_KEYS, PDPAuthHelper, PDPServer, WarmStorageService } from '@filoz/synapse-sdk'
+import { ethers } from 'ethers'
+import { getErrorMessage } from './errors.js'
+
+// Import types for JSDoc
+/**
+ * @typedef {import('./types.js').CombinedContext} CombinedContext
+ * @typedef {import('./types.js').RemovedPiece} RemovedPiece
+ * @typedef {import('./types.js').TerminatedDataSet} TerminatedDataSet
+ * @typedef {import('./types.js').OrphanedPiece} OrphanedPiece
+ * @typedef {import('@filoz/synapse-sdk').EnhancedDataSetInfo} EnhancedDataSetInfo
+ */
+
+/**
+ * `source` metadata of data sets managed per repository/branch by this action
+ */
+export const DATA_SET_SOURCE = 'filecoin-upload-action'
+
+/**
+ * Longest metadata value the warm storage contract accepts
+ */
+const MAX_METADATA_VALUE_LENGTH = 128
+
+/**
+ * Prefix of the `branch` metadata of pull request data sets
+ */
+const PULL_REQUEST_BRANCH_PREFIX = 'pull/'
+
+/**
+ * Data set metadata for an upload. Storage contexts reuse the data set with exactly this metadata, so it decides
+ * which data set a piece lands in.
+ *
+ * With the `branch` scope each repository branch gets its own data set, and each pull request one of its own, so
+ * pruning a pull request never touches pieces a branch relies on. The `wallet` scope keeps using the data set
+ * filecoin-pin shares across everything the wallet uploads.
+ * @param {'branch' | 'wallet'} scope - Data set scope (dataSetScope input)
+ * @param {Partial<CombinedContext>} ctx - Run context
+ * @returns {Record<string, string>} Data set metadata
+ */
+export function getDataSetMetadata(scope, ctx) {
+  if (scope === 'wallet') {
+    return { [METADATA_KEYS.WITH_IPFS_INDEXING]: '', source: 'filecoin-pin' }
+  }
+
+  const branch = ctx.pr?.number ? `${PULL_REQUEST_BRANCH_PREFIX}${ctx.pr.number}` : process.env.GITHUB_REF_NAME || ''
+  return {
+    [METADATA_KEYS.WITH_IPFS_INDEXING]: '',
+    source: DATA_SET_SOURCE,
+    repository: (ctx.repository || process.env.GITHUB_REPOSITORY || '').slice(0, MAX_METADATA_VALUE_LENGTH),
+    branch: branch.slice(0, MAX_METADATA_VALUE_LENGTH),
+  }
+}
+
+/**
+ * Piece metadata for an upload, used by cleanup to tell pull request pieces and their age apart
+ * @param {string} ipfsRootCid - Root CID
+ * @param {Partial<CombinedContext>} ctx - Run context
+ * @returns {Record<string, string>} Piece metadata
+ */
+export function getPieceMetadata(ipfsRootCid, ctx) {
+  return {
+    [METADATA_KEYS.IPFS_ROOT_CID]: ipfsRootCid,
+    uploadedAt: new Date().toISOString(),
+    ...(ctx.pr?.number ? { pr: String(ctx.pr.number) } : {}),
+    ...(ctx.run_id ? { run: ctx.run_id } : {}),
+  }
+}
+
+/**
+ * @typedef {Object} PrunablePiece
+ * @property {EnhancedDataSetInfo} dataSet - Data set holding the piece
+ * @property {PDPServer} server - PDP server client of the data set's provider
+ * @property {number} pieceId - Piece ID within the data set
+ * @property {string} pieceCid - Piece CID
+ * @property {string} reason - Why the piece is removed
+ */
+
+/**
+ * Find pull request pieces of a repository that should no longer be paid for, pieces failed uploads left behind, and
+ * the data sets of the closed pull request, which are terminated once their pieces are removed
+ * @param {any} synapse - Synapse service
+ * @param {{ repository: string, pullRequest?: number | undefined, olderThanDays?: number | undefined, orphanedPieces?: OrphanedPiece[] | undefined }} criteria - Pieces of `pullRequest`, pull request pieces uploaded more than `olderThanDays` ago, and/or orphaned pieces recorded in the ledger
+ * @returns {Promise<{ pieces: PrunablePiece[], closedDataSets: EnhancedDataSetInfo[] }>} Pieces to remove, and data sets of `pullRequest`
+ */
+export async function findPrunablePieces(synapse, criteria) {
+  const { repository, pullRequest, olderThanDays, orphanedPieces = [] } = criteria
+  const cutoff = olderThanDays != null ? Date.now() - olderThanDays * 24 * 60 * 60 * 1000 : undefined
+
+  /** @type {EnhancedDataSetInfo[]} */
+  const dataSets = await synapse.storage.findDataSets()
+  const pullRequestDataSets = dataSets.filter(
+    (dataSet) =>
+      dataSet.isLive &&
+      dataSet.metadata.source === DATA_SET_SOURCE &&
+      dataSet.metadata.repository === repository &&
+      dataSet.metadata.branch?.startsWith(PULL_REQUEST_BRANCH_PREFIX)
+  )
+
+  const warmStorage = await WarmStorageService.create(synapse.getProvider(), synapse.getWarmStorageAddress())
+
+  /** @type {PrunablePiece[]} */
+  const prunable = []
+  /** @type {EnhancedDataSetInfo[]} */
+  const closedDataSets = []
+  for (const dataSet of pullRequestDataSets) {
+    const number = Number(dataSet.metadata.branch?.slice(PULL_REQUEST_BRANCH_PREFIX.length))
+    const closed = pullRequest != null && number === pullRequest
+    if (closed) closedDataSets.push(dataSet)
+    if (!closed && cutoff == null) continue
+
+    const server = await getPdpServer(synapse, dataSet.providerId)
+    const { pieces } = await server.getDataSet(dataSet.pdpVerifierDataSetId)
+    for (const piece of pieces) {
+      const pieceCid = piece.pieceCid.toString()
+      if (closed) {
+        prunable.push({ dataSet, server, pieceId: piece.pieceId, pieceCid, reason: `pull request #${number} closed` })
+        continue
+      }
+
+      const metadata = await warmStorage.getPieceMetadata(dataSet.pdpVerifierDataSetId, piece.pieceId)
+      const uploadedAt = Date.parse(metadata.uploadedAt || '')
+      if (cutoff != null && Number.isFinite(uploadedAt) && uploadedAt < cutoff) {
+        prunable.push({ dataSet, server, pieceId: piece.pieceId, pieceCid, reason: `uploaded ${metadata.uploadedAt}` })
+      }
+    }
+  }
+
+  // Pieces of a split CAR a provider kept before failing (see uploadToProviders), while still in a live data set
+  for (const dataSet of dataSets.filter((candidate) => candidate.isLive)) {
+    const dataSetId = String(dataSet.pdpVerifierDataSetId)
+    const orphans = orphanedPieces.filter(
+      (orphan) =>
+        orphan.data_set_id === dataSetId &&
+        !prunable.some((piece) => piece.dataSet === dataSet && String(piece.pieceId) === orphan.piece_id)
+    )
+    if (orphans.length === 0) continue
+
+    try {
+      const server = await getPdpServer(synapse, dataSet.providerId)
+      const { pieces } = await server.getDataSet(dataSet.pdpVerifierDataSetId)
+      for (const piece of pieces) {
+        const pieceCid = piece.pieceCid.toString()
+        if (orphans.some((orphan) => orphan.piece_id === String(piece.pieceId) && orphan.piece_cid === pieceCid)) {
+          prunable.push({ dataSet, server, pieceId: piece.pieceId, pieceCid, reason: 'left by a failed upload' })
+        }
+      }
+    } catch (error) {
+      console.log(`::warning::Cannot list orphaned pieces of data set ${dataSetId}: ${getErrorMessage(error)}`)
+    }
+  }
+  return { pieces: prunable, closedDataSets }
+}
+
+/**
+ * Create a PDP server client for a provider, signing with the wallet
+ * @param {any} synapse - Synapse service
+ * @param {number} providerId - Provider ID
+ * @returns {Promise<PDPServer>} PDP server client
+ */
+export async function getPdpServer(synapse, providerId) {
+  const provider = await synapse.getProviderInfo(providerId)
+  const serviceURL = provider.products?.PDP?.data?.serviceURL
+  if (!serviceURL) throw new Error(`Provider ${providerId} has no PDP service URL`)
+
+  const auth = new PDPAuthHelper(synapse.getWarmStorageAddress(), synapse.getSigner(), BigInt(synapse.getChainId()))
+  return new PDPServer(auth, serviceURL)
+}
+
+/**
+ * Ask the provider to remove pieces from their data sets. Removal is scheduled on chain and takes effect at the
+ * data set's next proving period, after which the pieces are no longer paid for.
+ * @param {PrunablePiece[]} pieces - Pieces to remove (see findPrunablePieces)
+ * @returns {Promise<RemovedPiece[]>} Outcome per piece
+ */
+export async function removePieces(pieces) {
+  /** @type {RemovedPiece[]} */
+  const removed = []
+  for (const { dataSet, server, pieceId, pieceCid, reason } of pieces) {
+    const dataSetId = String(dataSet.pdpVerifierDataSetId)
+    try {
+      const txHash = await schedulePieceRemoval(server, dataSet, pieceId)
+      console.log(`✓ Scheduled removal of piece ${pieceId} (${pieceCid}) from data set ${dataSetId}: ${reason}`)
+      removed.push({ data_set_id: dataSetId, piece_id: String(pieceId), piece_cid: pieceCid, reason, tx_hash: txHash })
+    } catch (error) {
+      const message = getErrorMessage(error)
+      console.log(`::warning::Failed to remove piece ${pieceId} from data set ${dataSetId}: ${message}`)
+      removed.push({ data_set_id: dataSetId, piece_id: String(pieceId), piece_cid: pieceCid, reason, error: message })
+    }
+  }
+  return removed
+}
+
+/**
+ * Terminate the data sets of a closed pull request, ending their payment rails. A data set is only terminated once
+ * none of its pieces is left, i.e. the removal of every piece was scheduled: an empty data set otherwise keeps its
+ * rail, and keeps being paid for, after cleanup.
+ * @param {any} synapse - Synapse service
+ * @param {EnhancedDataSetInfo[]} dataSets - Data sets of the closed pull request (see findPrunablePieces)
+ * @param {RemovedPiece[]} removed - Outcome of the piece removals
+ * @param {{ dryRun: boolean }} options - Only list the data sets
+ * @returns {Promise<TerminatedDataSet[]>} Outcome per data set
+ */
+export async function terminateDataSets(synapse, dataSets, removed, { dryRun }) {
+  /** @type {TerminatedDataSet[]} */
+  const terminated = []
+  for (const dataSet of dataSets) {
+    const dataSetId = String(dataSet.pdpVerifierDataSetId)
+    const pullRequest = Number(dataSet.metadata.branch?.slice(PULL_REQUEST_BRANCH_PREFIX.length))
+    const failed = removed.filter((piece) => piece.data_set_id === dataSetId && piece.error)
+    if (failed.length > 0) {
+      console.log(`::warning::Not terminating data set ${dataSetId}: ${failed.length} of its pieces were not removed`)
+      continue
+    }
+    if (dryRun) {
+      terminated.push({ data_set_id: dataSetId, pull_request: pullRequest })
+      continue
+    }
+
+    try {
+      const tx = await synapse.storage.terminateDataSet(dataSet.pdpVerifierDataSetId)
+      await tx.wait()
+      console.log(`✓ Terminated data set ${dataSetId} of pull request #${pullRequest}: ${tx.hash}`)
+      terminated.push({ data_set_id: dataSetId, pull_request: pullRequest, tx_hash: tx.hash })
+    } catch (error) {
+      const message = getErrorMessage(error)
+      console.log(`::warning::Failed to terminate data set ${dataSetId}: ${message}`)
+      terminated.push({ data_set_id: dataSetId, pull_request: pullRequest, error: message })
+    }
+  }
+  return terminated
+}
+
+/**
+ * Sign a piece removal and submit it through the provider, which sends the transaction
+ * @param {PDPServer} server - PDP server client of the data set's provider
+ * @param {EnhancedDataSetInfo} dataSet - Data set holding the piece
+ * @param {number} pieceId - Piece ID within the data set
+ * @returns {Promise<string>} Transaction hash
+ */
+async function schedulePieceRemoval(server, dataSet, pieceId) {
+  const { signature } = await server.getAuthHelper().signSchedulePieceRemovals(dataSet.clientDataSetId, [pieceId])
+  const extraData = ethers.AbiCoder.defaultAbiCoder().encode(['bytes'], [signature])
+
+  const url = `${server.getServiceURL()}/pdp/data-sets/${dataSet.pdpVerifierDataSetId}/pieces/${pieceId}`
+  const response = await fetch(url, {
+    method: 'DELETE',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ extraData }),
+  })
+  if (!response.ok) {
+    throw new Error(`provider responded ${response.status}: ${await response.text()}`)
+  }
+
+  /** @type {{ txHash?: string }} */
+  const result = await response.json()
+  return result.txHash || ''
+}
@@ -22,11 +22,16 @@ export const ERROR_CODES = {
   INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
   MAX_BALANCE_EXCEEDED: 'MAX_BALANCE_EXCEEDED',
   MAX_BALANCE_REACHED: 'MAX_BALANCE_REACHED',
+  BUDGET_EXCEEDED: 'BUDGET_EXCEEDED',
+  WITHDRAW_FAILED: 'WITHDRAW_FAILED',
   PROVIDER_UNAVAILABLE: 'PROVIDER_UNAVAILABLE',
   INVALID_PRIVATE_KEY: 'INVALID_PRIVATE_KEY',
   INVALID_INPUT: 'INVALID_INPUT',
   CAR_CREATE_FAILED: 'CAR_CREATE_FAILED',
+  INVALID_CAR: 'INVALID_CAR',
+  VERIFICATION_FAILED: 'VERIFICATION_FAILED',
   UPLOAD_FAILED: 'UPLOAD_FAILED',
+  CLEANUP_FAILED: 'CLEANUP_FAILED',
   CACHE_ERROR: 'CACHE_ERROR',
   NETWORK_ERROR: 'NETWORK_ERROR',
 }
@@ -55,17 +60,43 @@ export function handleError(error, context = {}) {
   // Check if error has a code property (FilecoinPinError)
   if ('code' in error) {
     if (error.code === ERROR_CODES.INSUFFICIENT_FUNDS) {
-      console.error('💡 Tip: Check your wallet balance and ensure you have enough USDFC tokens.')
+      console.error(
+        '💡 Tip: Check your wallet balance and ensure you have enough of the payment token (USDFC), and FIL for gas (see minGasBalance).'
+      )
     } else if (error.code === ERROR_CODES.MAX_BALANCE_EXCEEDED) {
       console.error('💡 Tip: Review your filecoinPayBalanceLimit to allow larger deposits, or lower minStorageDays.')
     } else if (error.code === ERROR_CODES.MAX_BALANCE_REACHED) {
       console.error(
         '💡 Tip: Current balance already meets your filecoinPayBalanceLimit. Upload will proceed without additional deposits.'
       )
+    } else if (error.code === ERROR_CODES.BUDGET_EXCEEDED) {
+      console.error(
+        '💡 Tip: Nothing was deposited or uploaded. Raise the limit named above (maxCarSize, maxDepositPerRun, maxMonthlySpend, or maxUploadCost), lower minStorageDays, or shrink the content.'
+      )
+    } else if (error.code === ERROR_CODES.WITHDRAW_FAILED) {
+      console.error(
+        '💡 Tip: Funds stay in Filecoin Pay when a withdrawal fails. Check the wallet has FIL for gas, or disable withdrawExcess.'
+      )
     } else if (error.code === ERROR_CODES.PROVIDER_UNAVAILABLE) {
-      console.error('💡 Tip: Try again later or specify a different provider address.')
+      console.error(
+        '💡 Tip: No approved provider could take the upload. Try again later, list providers in fallbackProviders, or check providerFallback is enabled.'
+      )
     } else if (error.code === ERROR_CODES.INVALID_PRIVATE_KEY) {
-      console.error('💡 Tip: Ensure your private key is valid.')
+      console.error(
+        '💡 Tip: Ensure your private key is valid, or that keystorePassword decrypts the keystorePath keystore.'
+      )
+    } else if (error.code === ERROR_CODES.INVALID_CAR) {
+      console.error(
+        '💡 Tip: The CAR does not match its claimed root CID. Rebuild it; a handed-off artifact may be corrupt or tampered with.'
+      )
+    } else if (error.code === ERROR_CODES.CLEANUP_FAILED) {
+      console.error(
+        '💡 Tip: Some providers did not accept the piece removals. Pieces that were not removed are picked up again by the next cleanup run.'
+      )
+    } else if (error.code === ERROR_CODES.VERIFICATION_FAILED) {
+      console.error(
+        '💡 Tip: The upload completed but could not be retrieved intact. Providers can take a while to serve new pieces; raise verifyTimeout or use verifyRetrieval: warn.'
+      )
     }
   }
 
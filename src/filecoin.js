@@ -1,24 +1,23 @@
-import { promises as fs } from 'node:fs'
-import { RPC_URLS, TIME_CONSTANTS } from '@filoz/synapse-sdk'
+import { createReadStream, promises as fs } from 'node:fs'
+import { WritableStream } from 'node:stream/web'
+import { RPC_URLS, SIZE_CONSTANTS, Synapse, TIME_CONSTANTS, TOKENS } from '@filoz/synapse-sdk'
+import { createPieceCIDStream } from '@filoz/synapse-sdk/piece'
 import { ethers } from 'ethers'
 import { createCarFromPath } from 'filecoin-pin/dist/add/unixfs-car.js'
 import { validatePaymentSetup } from 'filecoin-pin/dist/common/upload-flow.js'
-import {
-  checkAndSetAllowances,
-  computeTopUpForDuration,
-  depositUSDFC,
-  getPaymentStatus,
-} from 'filecoin-pin/dist/synapse/payments.js'
+import { checkAndSetAllowances, computeTopUpForDuration, getPaymentStatus } from 'filecoin-pin/dist/synapse/payments.js'
 // Import filecoin-pin internals
-import {
-  cleanupSynapseService,
-  createStorageContext,
-  initializeSynapse as initSynapse,
-} from 'filecoin-pin/dist/synapse/service.js'
-import { getDownloadURL, uploadToSynapse } from 'filecoin-pin/dist/synapse/upload.js'
+import { cleanupSynapseService, initializeSynapse as initSynapse } from 'filecoin-pin/dist/synapse/service.js'
+import { getDownloadURL } from 'filecoin-pin/dist/synapse/upload.js'
 import { formatRunwayDuration } from 'filecoin-pin/dist/utils/time.js'
-import { CID } from 'multiformats/cid'
+import { splitCarFile } from './car.js'
+import { needsStaging, stageContent } from './content.js'
 import { ERROR_CODES, FilecoinPinError, getErrorMessage } from './errors.js'
+import { formatUnixFsLayout } from './outputs.js'
+import { withRetry } from './retry.js'
+import { createExternalSigner, hasExternalSigner } from './signer.js'
+import { formatTokenValue } from './tokens.js'
+import { DEFAULT_UNIXFS_LAYOUT, packCarWithLayout, resolveUnixFsLayout } from './unixfs.js'
 
 /**
  * Calculate storage runway based on current payment status
@@ -46,57 +45,101 @@ export function calculateStorageRunway(status) {
   return 'No active spend detected'
 }
 
+/**
+ * Storage runway in days, for comparing against thresholds
+ * @param {any} status - Payment status from getPaymentStatus
+ * @returns {number | undefined} Days the balance covers (Infinity without active spend), undefined when unknown
+ */
+export function getStorageRunwayDays(status) {
+  if (!status || !status.currentAllowances) return undefined
+
+  const rateUsed = status.currentAllowances.rateUsed ?? 0n
+  const lockupUsed = status.currentAllowances.lockupUsed ?? 0n
+  if (rateUsed <= 0n) return Number.POSITIVE_INFINITY
+
+  const perDay = rateUsed * TIME_CONSTANTS.EPOCHS_PER_DAY
+  const depositedAmount = BigInt(status.depositedAmount || 0)
+  const available = depositedAmount > lockupUsed ? depositedAmount - lockupUsed : 0n
+  return Number((available * 100n) / perDay) / 100
+}
+
 // Import types for JSDoc
 /**
  * @typedef {import('./types.js').ParsedInputs} ParsedInputs
  * @typedef {import('./types.js').BuildResult} BuildResult
  * @typedef {import('./types.js').UploadResult} UploadResult
+ * @typedef {import('./types.js').CarUpload} CarUpload
+ * @typedef {import('./types.js').TopUpPlan} TopUpPlan
+ * @typedef {import('./types.js').UploadEstimate} UploadEstimate
+ * @typedef {import('./types.js').WithdrawalPlan} WithdrawalPlan
+ * @typedef {import('./content.js').ContentOptions} ContentOptions
+ * @typedef {import('./unixfs.js').LayoutOptions} LayoutOptions
+ */
+
+/**
+ * Provider of a Synapse instance created for an external signer. filecoin-pin only cleans up the instances it
+ * created itself.
+ * @type {ethers.Provider | undefined}
  */
+let externalSignerProvider
 
 /**
  * Initialize Synapse sdk with error handling
- * @param {{ walletPrivateKey: string, network: 'mainnet' | 'calibration' }} config - Wallet and network config
+ * @param {Pick<ParsedInputs, 'walletPrivateKey' | 'keystorePath' | 'keystorePassword' | 'signerUrl' | 'signerAddress' | 'signerAuthorization' | 'network' | 'rpcUrl' | 'warmStorageAddress'>} config - Signer and network config, rpcUrl and warmStorageAddress override the network's defaults
  * @param {any} logger - Logger instance
  * @returns {Promise<any>} Synapse service
  */
 export async function initializeSynapse(config, logger) {
   try {
-    const { walletPrivateKey, network } = config
-    if (!network || (network !== 'mainnet' && network !== 'calibration')) {
-      throw new FilecoinPinError('Network must be either "mainnet" or "calibration"', ERROR_CODES.INVALID_INPUT)
+    const { walletPrivateKey, network, rpcUrl, warmStorageAddress } = config
+    if (!network || !['mainnet', 'calibration', 'devnet'].includes(network)) {
+      throw new FilecoinPinError('Network must be one of "mainnet", "calibration", "devnet"', ERROR_CODES.INVALID_INPUT)
     }
 
-    const rpcConfig = RPC_URLS[network]
-    if (!rpcConfig) {
-      throw new FilecoinPinError(`Unsupported network: ${network}`, ERROR_CODES.INVALID_INPUT)
+    // Devnets have no public endpoint, Synapse picks HTTP or websocket transport from the URL
+    const defaults = network === 'devnet' ? undefined : RPC_URLS[network]
+    const endpoint = rpcUrl || defaults?.websocket
+    if (!endpoint) {
+      throw new FilecoinPinError(`No RPC endpoint for network ${network}, set rpcUrl`, ERROR_CODES.INVALID_INPUT)
     }
+    const contracts = warmStorageAddress ? { warmStorageAddress } : {}
 
-    // @ts-expect-error - synapse types broken.
-    return await initSynapse({ privateKey: walletPrivateKey, rpcUrl: rpcConfig.websocket }, logger)
+    // Keystore files and remote signers never hand the raw key to filecoin-pin
+    if (hasExternalSigner(config)) {
+      const signer = await createExternalSigner(config, { http: rpcUrl || defaults?.http || endpoint, endpoint })
+      externalSignerProvider = signer.provider ?? undefined
+      const synapse = await Synapse.create({ signer, ...contracts })
+      logger.info({ address: await signer.getAddress() }, 'Using external signer')
+      return synapse
+    }
+
+    return await initSynapse(
+      // @ts-expect-error - synapse types broken.
+      { privateKey: walletPrivateKey, rpcUrl: endpoint, ...contracts },
+      logger
+    )
   } catch (error) {
     const errorMessage = getErrorMessage(error)
     if (errorMessage.includes('invalid private key')) {
       throw new FilecoinPinError('Invalid private key format', ERROR_CODES.INVALID_PRIVATE_KEY)
     }
+    if (errorMessage.includes('incorrect password')) {
+      throw new FilecoinPinError('keystorePassword does not decrypt keystorePath', ERROR_CODES.INVALID_PRIVATE_KEY)
+    }
     throw new FilecoinPinError(`Failed to initialize Synapse: ${errorMessage}`, ERROR_CODES.NETWORK_ERROR)
   }
 }
 
 /**
- * Handle payment setup and top-ups
- * @param {any} synapse - Synapse service
- * @param {{ minStorageDays: number, filecoinPayBalanceLimit?: bigint | undefined }} options - Payment options
+ * Compute the deposit needed for minStorageDays, capped so the balance never exceeds filecoinPayBalanceLimit.
+ * Pure: shared by handlePayments and dry runs.
+ * @param {any} status - Payment status from getPaymentStatus
+ * @param {{ minStorageDays: number, filecoinPayBalanceLimit?: bigint | undefined, token?: string | undefined }} options - Payment options, amounts in `token` (USDFC by default)
  * @param {any} logger - Logger instance
- * @returns {Promise<any>} Updated payment status
+ * @returns {TopUpPlan} Required and permitted top-up
  */
-export async function handlePayments(synapse, options, logger) {
-  const { minStorageDays, filecoinPayBalanceLimit } = options
-
-  // Ensure WarmStorage allowances are at max
-  await checkAndSetAllowances(synapse)
-
-  // Check current payment status
-  let status = await getPaymentStatus(synapse)
+export function planTopUp(status, options, logger) {
+  const { minStorageDays, filecoinPayBalanceLimit, token = TOKENS.USDFC } = options
 
   // Compute top-up to satisfy minStorageDays
   let requiredTopUp = 0n
@@ -105,14 +148,16 @@ export async function handlePayments(synapse, options, logger) {
     if (topUp > requiredTopUp) requiredTopUp = topUp
   }
 
+  let topUp = requiredTopUp
+
   // Check if deposit would exceed maximum balance if specified
   if (filecoinPayBalanceLimit != null && filecoinPayBalanceLimit >= 0n) {
     // Check if current balance already equals or exceeds limit
     if (status.depositedAmount >= filecoinPayBalanceLimit) {
       logger.warn(
-        `⚠️  Current balance (${ethers.formatUnits(status.depositedAmount, 18)} USDFC) already equals or exceeds filecoinPayBalanceLimit (${ethers.formatUnits(filecoinPayBalanceLimit, 18)} USDFC). No additional deposits will be made.`
+        `⚠️  Current balance (${formatTokenValue(status.depositedAmount, token)}) already equals or exceeds filecoinPayBalanceLimit (${formatTokenValue(filecoinPayBalanceLimit, token)}). No additional deposits will be made.`
       )
-      requiredTopUp = 0n // Don't deposit anything
+      topUp = 0n // Don't deposit anything
     } else {
       // Check if required top-up would exceed the limit
       const projectedBalance = status.depositedAmount + requiredTopUp
@@ -123,43 +168,196 @@ export async function handlePayments(synapse, options, logger) {
         if (maxAllowedTopUp <= 0n) {
           // This shouldn't happen due to the check above, but just in case
           logger.warn(
-            `⚠️  Cannot deposit any amount without exceeding filecoinPayBalanceLimit (${ethers.formatUnits(filecoinPayBalanceLimit, 18)} USDFC). No additional deposits will be made.`
+            `⚠️  Cannot deposit any amount without exceeding filecoinPayBalanceLimit (${formatTokenValue(filecoinPayBalanceLimit, token)}). No additional deposits will be made.`
           )
-          requiredTopUp = 0n
+          topUp = 0n
         } else {
           // Reduce the top-up to fit within the limit
           logger.warn(
-            `⚠️  Required top-up (${ethers.formatUnits(requiredTopUp, 18)} USDFC) would exceed filecoinPayBalanceLimit (${ethers.formatUnits(filecoinPayBalanceLimit, 18)} USDFC). Reducing to ${ethers.formatUnits(maxAllowedTopUp, 18)} USDFC.`
+            `⚠️  Required top-up (${formatTokenValue(requiredTopUp, token)}) would exceed filecoinPayBalanceLimit (${formatTokenValue(filecoinPayBalanceLimit, token)}). Reducing to ${formatTokenValue(maxAllowedTopUp, token)}.`
           )
-          requiredTopUp = maxAllowedTopUp
+          topUp = maxAllowedTopUp
         }
       }
     }
   }
 
-  if (requiredTopUp > 0n) {
-    logger.info(`Depositing ${ethers.formatUnits(requiredTopUp, 18)} USDFC to Filecoin Pay ...`)
-    await depositUSDFC(synapse, requiredTopUp)
+  return { requiredTopUp, topUp, clamped: topUp < requiredTopUp }
+}
+
+/**
+ * Fail before sending transactions the wallet cannot pay gas for
+ * @param {any} synapse - Synapse service
+ * @param {bigint} minGasBalance - FIL (wei) the wallet must hold, 0 to skip the check
+ */
+export async function checkGasBalance(synapse, minGasBalance) {
+  if (minGasBalance <= 0n) return
+  const balance = await synapse.payments.walletBalance(TOKENS.FIL)
+  if (balance < minGasBalance) {
+    throw new FilecoinPinError(
+      `Wallet holds ${ethers.formatEther(balance)} FIL, below minGasBalance (${ethers.formatEther(minGasBalance)} FIL) needed to pay for gas`,
+      ERROR_CODES.INSUFFICIENT_FUNDS,
+      { token: TOKENS.FIL }
+    )
+  }
+}
+
+/**
+ * Handle payment setup and top-ups
+ * @param {any} synapse - Synapse service
+ * @param {{ minStorageDays: number, filecoinPayBalanceLimit?: bigint | undefined, token?: string | undefined }} options - Payment options, amounts in `token` (USDFC by default)
+ * @param {any} logger - Logger instance
+ * @returns {Promise<any>} Updated payment status
+ */
+export async function handlePayments(synapse, options, logger) {
+  // Ensure WarmStorage allowances are at max
+  await checkAndSetAllowances(synapse)
+
+  // Check current payment status
+  let status = await getPaymentStatus(synapse)
+
+  const { token = TOKENS.USDFC } = options
+  const { topUp } = planTopUp(status, options, logger)
+  if (topUp > 0n) {
+    logger.info(`Depositing ${formatTokenValue(topUp, token)} to Filecoin Pay ...`)
+    const tx = await synapse.payments.deposit(topUp, token)
+    await tx.wait()
     status = await getPaymentStatus(synapse)
   }
 
   return status
 }
 
+/**
+ * Compute how much of the Filecoin Pay balance above filecoinPayBalanceLimit can be withdrawn. Only funds that are
+ * not locked up by rails are withdrawable, and the runway of minStorageDays is kept. Pure: shared by
+ * withdrawExcess and dry runs.
+ * @param {any} status - Payment status from getPaymentStatus
+ * @param {bigint} availableFunds - Deposited funds not locked up by rails (payments.accountInfo)
+ * @param {{ minStorageDays: number, filecoinPayBalanceLimit?: bigint | undefined, token?: string | undefined }} options - Payment options, amounts in `token` (USDFC by default)
+ * @returns {WithdrawalPlan} Excess above the limit and the amount to withdraw
+ */
+export function planWithdrawal(status, availableFunds, options) {
+  const { minStorageDays, filecoinPayBalanceLimit } = options
+  const depositedAmount = BigInt(status?.depositedAmount || 0)
+  const excess =
+    filecoinPayBalanceLimit != null && depositedAmount > filecoinPayBalanceLimit
+      ? depositedAmount - filecoinPayBalanceLimit
+      : 0n
+
+  // Funds the current spend rate needs for minStorageDays stay deposited
+  const rateUsed = status?.currentAllowances?.rateUsed ?? 0n
+  const reserve = rateUsed * TIME_CONSTANTS.EPOCHS_PER_DAY * BigInt(Math.ceil(minStorageDays))
+  const withdrawable = availableFunds > reserve ? availableFunds - reserve : 0n
+
+  const amount = excess < withdrawable ? excess : withdrawable
+  return { excess, withdrawable, amount }
+}
+
+/**
+ * Withdraw the Filecoin Pay balance above filecoinPayBalanceLimit back to the wallet (see planWithdrawal)
+ * @param {any} synapse - Synapse service
+ * @param {{ minStorageDays: number, filecoinPayBalanceLimit?: bigint | undefined, token?: string | undefined }} options - Payment options, amounts in `token` (USDFC by default)
+ * @param {{ dryRun?: boolean }} run - Dry runs only plan the withdrawal
+ * @param {any} logger - Logger instance
+ * @returns {Promise<{ plan: WithdrawalPlan, status: any }>} Withdrawal plan and payment status afterwards
+ */
+export async function withdrawExcess(synapse, options, run, logger) {
+  const { token = TOKENS.USDFC } = options
+  let status = await getPaymentStatus(synapse)
+  const { availableFunds } = await synapse.payments.accountInfo(token)
+  const plan = planWithdrawal(status, availableFunds, options)
+
+  if (plan.excess === 0n) {
+    logger.info('Filecoin Pay balance is within filecoinPayBalanceLimit, nothing to withdraw')
+    return { plan, status }
+  }
+  if (plan.amount < plan.excess) {
+    logger.warn(
+      `⚠️  ${formatTokenValue(plan.excess, token)} is above filecoinPayBalanceLimit, but only ${formatTokenValue(plan.amount, token)} is neither locked up nor needed for minStorageDays`
+    )
+  }
+  if (plan.amount === 0n || run.dryRun) return { plan, status }
+
+  logger.info(`Withdrawing ${formatTokenValue(plan.amount, token)} from Filecoin Pay ...`)
+  try {
+    const tx = await synapse.payments.withdraw(plan.amount, token)
+    await tx.wait()
+  } catch (error) {
+    throw new FilecoinPinError(
+      `Failed to withdraw ${formatTokenValue(plan.amount, token)} from Filecoin Pay: ${getErrorMessage(error)}`,
+      ERROR_CODES.WITHDRAW_FAILED
+    )
+  }
+  status = await getPaymentStatus(synapse)
+  return { plan, status }
+}
+
+/**
+ * Estimate what handlePayments and uploadCarToFilecoin would do, using read-only calls only.
+ * validatePaymentSetup may configure allowances, so its capacity check is reproduced here instead.
+ * @param {any} synapse - Synapse service
+ * @param {number} carSize - CAR size in bytes
+ * @param {{ minStorageDays: number, filecoinPayBalanceLimit?: bigint | undefined, token?: string | undefined, withCDN: boolean }} options - Payment and upload options
+ * @param {any} logger - Logger instance
+ * @returns {Promise<UploadEstimate>} Planned deposit and projected payment status
+ */
+export async function estimateUpload(synapse, carSize, options, logger) {
+  const status = await getPaymentStatus(synapse)
+  const plan = planTopUp(status, options, logger)
+
+  const { pricing } = await synapse.getStorageInfo()
+  const pricePerTiBPerEpoch = options.withCDN ? pricing.withCDN.perTiBPerEpoch : pricing.noCDN.perTiBPerEpoch
+  const ratePerEpoch = (BigInt(carSize) * pricePerTiBPerEpoch + SIZE_CONSTANTS.TiB - 1n) / SIZE_CONSTANTS.TiB
+  const lockup = ratePerEpoch * TIME_CONSTANTS.DEFAULT_LOCKUP_DAYS * TIME_CONSTANTS.EPOCHS_PER_DAY
+
+  const allowances = status.currentAllowances || {}
+  const projectedStatus = {
+    ...status,
+    depositedAmount: BigInt(status.depositedAmount || 0) + plan.topUp,
+    currentAllowances: {
+      ...allowances,
+      rateUsed: (allowances.rateUsed ?? 0n) + ratePerEpoch,
+      lockupUsed: (allowances.lockupUsed ?? 0n) + lockup,
+    },
+  }
+  /** @type {bigint} */
+  const lockedAfter = projectedStatus.currentAllowances.lockupUsed
+  const shortfall = lockedAfter > projectedStatus.depositedAmount ? lockedAfter - projectedStatus.depositedAmount : 0n
+
+  return { ...plan, status, projectedStatus, ratePerEpoch, lockup, shortfall }
+}
+
 /**
  * Create CAR file from content path
  * @param {string} targetPath - Path to content
  * @param {string} contentPath - Original content path for logging
  * @param {any} logger - Logger instance
+ * @param {ContentOptions & LayoutOptions} [options] - Include/exclude patterns and deterministic packing (see stageContent), UnixFS layout (see resolveUnixFsLayout)
  * @returns {Promise<BuildResult>} CAR file info
  */
-export async function createCarFile(targetPath, contentPath, logger) {
+export async function createCarFile(targetPath, contentPath, logger, options) {
+  /** @type {Awaited<ReturnType<typeof stageContent>> | undefined} */
+  let staged
   try {
-    const stat = await fs.stat(targetPath)
+    // Filtered or deterministic builds pack a staged copy holding only the selected content
+    if (options && (await needsStaging(options, targetPath))) {
+      staged = await stageContent(targetPath, options)
+      console.log(
+        `Staged ${staged.files} file(s) for packing, ${staged.excluded} entries excluded${options.deterministic ? ', modes and mtimes normalized' : ''}`
+      )
+    }
+    const packPath = staged?.path ?? targetPath
+
+    const stat = await fs.stat(packPath)
     const isDirectory = stat.isDirectory()
-    logger.info(`Packing '${contentPath}' into CAR (UnixFS) ...`)
+    const { layout, custom } = options ? resolveUnixFsLayout(options) : { layout: DEFAULT_UNIXFS_LAYOUT, custom: false }
+    logger.info(`Packing '${contentPath}' into CAR (UnixFS: ${formatUnixFsLayout(layout)}) ...`)
 
-    const result = await createCarFromPath(targetPath, { isDirectory, logger })
+    // filecoin-pin only packs with its default layout
+    const result = custom
+      ? await packCarWithLayout(packPath, layout)
+      : await createCarFromPath(packPath, { isDirectory, logger })
     const { carPath, rootCid } = result
 
     // Handle different possible return formats from filecoin-pin
@@ -181,45 +379,165 @@ export async function createCarFile(targetPath, contentPath, logger) {
       }
     }
 
-    return { carPath, ipfsRootCid: rootCid.toString(), contentPath, carSize }
+    return { carPath, ipfsRootCid: rootCid.toString(), contentPath, carSize, layout }
   } catch (error) {
     throw new FilecoinPinError(`Failed to create CAR file: ${getErrorMessage(error)}`, ERROR_CODES.CAR_CREATE_FAILED)
+  } finally {
+    await staged?.cleanup()
+  }
+}
+
+/**
+ * Error messages that mean the provider (not our input or funds) is at fault
+ */
+const PROVIDER_FAILURE_PATTERN =
+  /ECONNREFUSED|ECONNRESET|ENOTFOUND|ETIMEDOUT|EAI_AGAIN|fetch failed|socket hang up|timed? ?out|\b50[234]\b|bad gateway|service unavailable|not currently approved|provider .*(not found|unavailable|inactive)/i
+
+/**
+ * Error messages of failures that may go away when the same upload is tried again
+ */
+const TRANSIENT_FAILURE_PATTERN =
+  /ECONNREFUSED|ECONNRESET|ETIMEDOUT|EAI_AGAIN|fetch failed|socket hang up|timed? ?out|\b(429|50[234])\b|bad gateway|service unavailable|too many requests|rate limit|nonce too low|replacement transaction underpriced|missing response|header not found|SERVER_ERROR|NETWORK_ERROR/i
+
+/**
+ * Turn an upload failure into a FilecoinPinError, marking provider-side failures as PROVIDER_UNAVAILABLE
+ * @param {unknown} error - Error thrown while creating the storage context or uploading
+ * @param {string} providerAddress - Provider the upload was sent to ('' when filecoin-pin chose)
+ * @returns {FilecoinPinError} Classified error
+ */
+export function classifyUploadError(error, providerAddress) {
+  if (error instanceof FilecoinPinError) return error
+
+  const message = getErrorMessage(error)
+  if (PROVIDER_FAILURE_PATTERN.test(message)) {
+    return new FilecoinPinError(
+      `Provider ${providerAddress || '(auto-selected)'} unavailable: ${message}`,
+      ERROR_CODES.PROVIDER_UNAVAILABLE,
+      { providerAddress }
+    )
+  }
+  return new FilecoinPinError(`Upload failed: ${message}`, ERROR_CODES.UPLOAD_FAILED, { providerAddress })
+}
+
+/**
+ * Whether an upload failure is worth retrying with the same provider
+ * @param {unknown} error - Error thrown by uploadCarToFilecoin
+ * @returns {boolean} True for RPC and provider hiccups
+ */
+export function isTransientUploadError(error) {
+  return TRANSIENT_FAILURE_PATTERN.test(getErrorMessage(error))
+}
+
+/**
+ * Compute the piece CID of a CAR by streaming it from disk
+ * @param {string} carPath - Path to CAR file
+ * @returns {Promise<string>} Piece CID (v2)
+ */
+async function computePieceCid(carPath) {
+  const { stream, getPieceCID } = createPieceCIDStream()
+  const writer = stream.writable.getWriter()
+  const drained = stream.readable.pipeTo(new WritableStream())
+
+  for await (const chunk of createReadStream(carPath)) {
+    await writer.write(chunk)
   }
+  await writer.close()
+  await drained
+
+  return String(getPieceCID())
 }
 
 /**
- * Upload CAR to Filecoin via filecoin-pin
+ * Check Filecoin Pay can cover storing a CAR, split it into pieces that fit maxPieceSize and compute their piece CIDs,
+ * without loading it into memory
  * @param {any} synapse - Synapse service
  * @param {string} carPath - Path to CAR file
+ * @param {{ copies?: number, maxPieceSize: number }} options - Number of providers the CAR will be stored with, largest piece they accept
+ * @returns {Promise<CarUpload[]>} Pieces to upload, in order
+ */
+export async function prepareCarUpload(synapse, carPath, options) {
+  const { copies = 1, maxPieceSize } = options
+  const { size: carSize } = await fs.stat(carPath)
+
+  // Validate payment capacity for every copy
+  await validatePaymentSetup(synapse, carSize * copies)
+
+  const parts = await splitCarFile(carPath, maxPieceSize)
+  if (parts.length > 1) {
+    console.log(`CAR is larger than ${maxPieceSize} bytes, split into ${parts.length} pieces`)
+  }
+
+  /** @type {CarUpload[]} */
+  const pieces = []
+  for (const part of parts) {
+    pieces.push({ ...part, pieceCid: await computePieceCid(part.carPath) })
+  }
+  return pieces
+}
+
+/**
+ * Upload a CAR to one provider.
+ *
+ * Transient failures are retried with backoff. Every attempt first asks the provider whether the piece is already
+ * part of the data set, so an attempt whose commit landed despite an error is picked up instead of paid for again.
+ * @param {any} synapse - Synapse service
+ * @param {CarUpload} car - CAR piece to upload (see prepareCarUpload)
  * @param {string} ipfsRootCid - Root CID
- * @param {{ withCDN: boolean, providerAddress: string }} options - Upload options
+ * @param {{ withCDN: boolean, providerAddress: string, attempts?: number, dataSetMetadata: Record<string, string>, pieceMetadata: Record<string, string> }} options - Upload options, metadata from getDataSetMetadata/getPieceMetadata
  * @param {any} logger - Logger instance
  * @returns {Promise<UploadResult>} Upload result
  */
-export async function uploadCarToFilecoin(synapse, carPath, ipfsRootCid, options, logger) {
-  const { withCDN, providerAddress } = options
+export async function uploadCarToFilecoin(synapse, car, ipfsRootCid, options, logger) {
+  const { withCDN, providerAddress, attempts = 1, dataSetMetadata, pieceMetadata } = options
 
-  // Set provider address if specified
-  if (providerAddress) {
-    process.env.PROVIDER_ADDRESS = providerAddress
-  }
-
-  // Read CAR data
-  const carBytes = await fs.readFile(carPath)
+  // Read at most once, then shared by the retries
+  /** @type {Buffer | undefined} */
+  let carBytes
 
-  // Validate payment capacity
-  await validatePaymentSetup(synapse, carBytes.length)
+  const { providerInfo, uploaded, reused } = await withRetry(
+    async () => {
+      try {
+        // The SDK reuses the provider's data set whose metadata matches exactly, or creates it
+        const storage = await synapse.storage.createContext({
+          ...(providerAddress ? { providerAddress } : {}),
+          withCDN,
+          metadata: dataSetMetadata,
+          callbacks: {
+            /** @param {{ isExisting: boolean, dataSetId: number }} info */
+            onDataSetResolved: (info) =>
+              logger.info(`${info.isExisting ? 'Using existing' : 'Created'} data set ${info.dataSetId}`),
+          },
+        })
+        const providerInfo = storage.provider
 
-  // Create storage context with optional CDN flag
-  if (withCDN) process.env.WITH_CDN = 'true'
-  const { storage, providerInfo } = await createStorageContext(synapse, logger, {})
+        if (storage.dataSetId != null) {
+          const status = await storage.pieceStatus(car.pieceCid)
+          if (status.pieceId != null) {
+            console.log(
+              `::notice::Piece ${car.pieceCid} is already in data set ${storage.dataSetId}, skipping the upload`
+            )
+            const uploaded = { pieceCid: car.pieceCid, pieceId: status.pieceId, dataSetId: String(storage.dataSetId) }
+            return { providerInfo, uploaded, reused: true }
+          }
+        }
 
-  // Upload to Filecoin via filecoin-pin
-  const synapseService = { synapse, storage, providerInfo }
-  const cid = CID.parse(ipfsRootCid)
-  const { pieceCid, pieceId, dataSetId } = await uploadToSynapse(synapseService, carBytes, cid, logger, {
-    contextId: `gha-upload-${Date.now()}`,
-  })
+        // StorageContext.upload only takes bytes, not a stream. prepareCarUpload split the CAR into pieces of at
+        // most MAX_UPLOAD_SIZE, so this holds one piece, never the whole CAR, and only once it has to be sent
+        carBytes ??= await fs.readFile(car.carPath)
+        const result = await storage.upload(carBytes, { metadata: pieceMetadata })
+        const uploaded = {
+          pieceCid: result.pieceCid.toString(),
+          pieceId: result.pieceId,
+          dataSetId: String(storage.dataSetId),
+        }
+        return { providerInfo, uploaded, reused: false }
+      } catch (error) {
+        throw classifyUploadError(error, providerAddress)
+      }
+    },
+    { attempts, label: `Upload to provider ${providerAddress || 'auto'}`, shouldRetry: isTransientUploadError }
+  )
+  const { pieceCid, pieceId, dataSetId } = uploaded
 
   const providerId = String(providerInfo.id ?? '')
   const providerName = providerInfo.name ?? (providerInfo.serviceProvider || '')
@@ -232,6 +550,7 @@ export async function uploadCarToFilecoin(synapse, carPath, ipfsRootCid, options
     provider: { id: providerId, name: providerName },
     previewURL,
     network: synapse.getNetwork(),
+    ...(reused ? { reused } : {}),
   }
 }
 
@@ -242,6 +561,8 @@ export async function uploadCarToFilecoin(synapse, carPath, ipfsRootCid, options
 export async function cleanupSynapse() {
   try {
     await cleanupSynapseService()
+    externalSignerProvider?.destroy()
+    externalSignerProvider = undefined
   } catch (error) {
     console.error('Cleanup failed:', getErrorMessage(error))
   }
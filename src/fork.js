@@ -0,0 +1,72 @@
+import { getPullRequestLabels, removePullRequestLabel } from './github.js'
+
+// Import types for JSDoc
+/**
+ * @typedef {import('./types.js').CombinedContext} CombinedContext
+ * @typedef {import('./types.js').ParsedInputs} ParsedInputs
+ */
+
+/**
+ * Check if the event is a pull_request opened from a fork
+ * @param {any} event - GitHub event payload
+ * @returns {boolean} True for fork PRs
+ */
+export function isForkPullRequest(event) {
+  const pr = event?.pull_request
+  if (!pr) return false
+  return pr.head?.repo?.full_name !== pr.base?.repo?.full_name
+}
+
+/**
+ * Check if the event is a workflow_run triggered by a run on a fork's branch
+ * @param {any} event - GitHub event payload
+ * @returns {boolean} True when the triggering run built fork code
+ */
+export function isForkWorkflowRun(event) {
+  const workflowRun = event?.workflow_run
+  if (!workflowRun) return false
+  const head = workflowRun.head_repository?.full_name
+  const base = workflowRun.repository?.full_name || event?.repository?.full_name
+  return Boolean(head && base) && head !== base
+}
+
+/**
+ * Decide whether a fork PR may spend funds on an upload. A `forkUploadLabel` approves one upload: it is removed from
+ * the PR before the upload it allows, so a later, unreviewed push needs a maintainer to label the PR again.
+ * @param {ParsedInputs} inputs - Parsed inputs
+ * @param {CombinedContext['pr']} pr - PR metadata resolved from the trusted event
+ * @returns {Promise<{ allowed: boolean, reason: string }>} Gate decision and why
+ */
+export async function evaluateForkGate(inputs, pr) {
+  const { allowForkUploads, forkAllowedAuthors, forkUploadLabel } = inputs
+
+  if (!allowForkUploads) {
+    return { allowed: false, reason: 'Fork PR uploads are disabled (set allowForkUploads to enable them)' }
+  }
+
+  if (forkAllowedAuthors.length === 0 && !forkUploadLabel) {
+    return { allowed: true, reason: 'allowForkUploads is enabled' }
+  }
+
+  const author = pr?.author || ''
+  if (author && forkAllowedAuthors.some((allowed) => allowed.toLowerCase() === author.toLowerCase())) {
+    return { allowed: true, reason: `${author} is listed in forkAllowedAuthors` }
+  }
+
+  if (forkUploadLabel && pr?.number) {
+    const labels = await getPullRequestLabels(pr.number)
+    if (labels.includes(forkUploadLabel)) {
+      // Fail closed: a label left on the PR would approve every later push too
+      if (!(await removePullRequestLabel(pr.number, forkUploadLabel))) {
+        return {
+          allowed: false,
+          reason: `PR is labeled '${forkUploadLabel}' but the label could not be removed (grant \`pull-requests: write\`)`,
+        }
+      }
+      return { allowed: true, reason: `PR was labeled '${forkUploadLabel}', the label was removed for this upload` }
+    }
+  }
+
+  const labelHint = forkUploadLabel ? ` and the PR is not labeled '${forkUploadLabel}'` : ''
+  return { allowed: false, reason: `PR author ${author || 'unknown'} is not listed in forkAllowedAuthors${labelHint}` }
+}
@@ -52,7 +52,8 @@ function normalizePr(pr, fallbackSha = '') {
 }
 
 /**
- * Try to resolve PR metadata directly from a workflow_run payload
+ * Try to resolve PR metadata directly from a workflow_run payload. Only a PR whose head is the run's commit counts:
+ * the fork gate decides on this PR, so it must never be another PR of the same branch.
  * @param {any} workflowRun
  * @returns {import('./types.js').CombinedContext['pr'] | undefined}
  */
@@ -71,12 +72,12 @@ function resolveFromWorkflowRunPayload(workflowRun) {
     }
   }
 
-  const candidate = match || prList[0]
-  return normalizePr(candidate, workflowRun.head_sha)
+  return normalizePr(match, workflowRun.head_sha)
 }
 
 /**
- * Use the GitHub API to resolve a PR from workflow_run context
+ * Use the GitHub API to resolve a PR from workflow_run context. The branch may have had other, older PRs, so only the
+ * one whose head is the run's commit counts; without it the PR stays unknown and a fork upload is blocked.
  * @param {Octokit | undefined} octokit
  * @param {any} event
  * @returns {Promise<import('./types.js').CombinedContext['pr'] | undefined>}
@@ -104,9 +105,9 @@ async function resolveFromWorkflowRunApi(octokit, event) {
 
     if (!pulls || pulls.length === 0) return undefined
 
-    const match = pulls.find((pr) => pr?.head?.sha === headSha)
-    const candidate = match || pulls[0]
-    return normalizePr(candidate, headSha)
+    const match = headSha ? pulls.find((pr) => pr?.head?.sha === headSha) : undefined
+    if (!match) console.log(`No pull request of ${headOwner}:${headBranch} has head ${headSha || 'unknown'}`)
+    return normalizePr(match, headSha)
   } catch (error) {
     console.warn('Failed to resolve PR info via GitHub API:', getErrorMessage(error))
     return undefined
@@ -137,9 +138,50 @@ export async function ensurePullRequestContext() {
   }
 
   if (pr) {
-    const merged = mergeAndSaveContext({ pr })
+    const merged = await mergeAndSaveContext({ pr })
     return merged.pr
   }
 
   return undefined
 }
+
+/**
+ * List label names on a pull request
+ * @param {number} prNumber
+ * @returns {Promise<string[]>}
+ */
+export async function getPullRequestLabels(prNumber) {
+  const token = process.env.GITHUB_TOKEN || getInput('github_token') || ''
+  const [owner, repo] = (process.env.GITHUB_REPOSITORY || '').split('/')
+  if (!token || !owner || !repo) return []
+
+  try {
+    const octokit = new Octokit({ auth: token })
+    const { data } = await octokit.rest.issues.listLabelsOnIssue({ owner, repo, issue_number: prNumber, per_page: 100 })
+    return data.map((label) => label.name)
+  } catch (error) {
+    console.warn('Failed to read PR labels:', getErrorMessage(error))
+    return []
+  }
+}
+
+/**
+ * Remove a label from a pull request
+ * @param {number} prNumber - Pull request number
+ * @param {string} label - Label name
+ * @returns {Promise<boolean>} True when the label is no longer on the PR
+ */
+export async function removePullRequestLabel(prNumber, label) {
+  const token = process.env.GITHUB_TOKEN || getInput('github_token') || ''
+  const [owner, repo] = (process.env.GITHUB_REPOSITORY || '').split('/')
+  if (!token || !owner || !repo) return false
+
+  try {
+    const octokit = new Octokit({ auth: token })
+    await octokit.rest.issues.removeLabel({ owner, repo, issue_number: prNumber, name: label })
+    return true
+  } catch (error) {
+    console.warn(`Failed to remove label '${label}' from PR #${prNumber}:`, getErrorMessage(error))
+    return false
+  }
+}
@@ -0,0 +1,65 @@
+import { access, readFile, stat } from 'node:fs/promises'
+import { dirname, join } from 'node:path'
+import { downloadRunArtifact } from './artifacts.js'
+import { verifyCarFile } from './car.js'
+import { ERROR_CODES, FilecoinPinError } from './errors.js'
+
+// Import types for JSDoc
+/**
+ * @typedef {import('./types.js').BuildResult} BuildResult
+ * @typedef {import('./types.js').CombinedContext} CombinedContext
+ */
+
+/**
+ * Read a context.json written by a build phase, locating the CAR published next to it
+ * @param {string} contextPath - Path to context.json (e.g. from a downloaded artifact)
+ * @returns {Promise<{ carPath: string, context: Partial<CombinedContext> }>}
+ */
+async function readContextFile(contextPath) {
+  /** @type {Partial<CombinedContext>} */
+  const context = JSON.parse(await readFile(contextPath, 'utf8'))
+  const publishedCar = join(dirname(contextPath), 'upload.car')
+  try {
+    await access(publishedCar)
+    return { carPath: publishedCar, context }
+  } catch {
+    // Same runner as the build phase: the CAR is still where it was written
+    return { carPath: context.car_path || '', context }
+  }
+}
+
+/**
+ * Load a CAR built by an earlier build phase (a `mode: build` job or a fork PR run),
+ * verifying it against the root CID recorded in its context
+ * @param {{ contextPath?: string, workflowRunId?: number }} source - Local context file, or run whose artifact to download
+ * @returns {Promise<{ buildResult: BuildResult, context: Partial<CombinedContext> } | undefined>} Verified build, undefined when no artifact was published
+ */
+export async function loadHandOff(source) {
+  /** @type {{ carPath: string, context: Partial<CombinedContext> } | undefined} */
+  let handOff
+  if (source.contextPath) {
+    handOff = await readContextFile(source.contextPath)
+  } else if (source.workflowRunId) {
+    handOff = await downloadRunArtifact(source.workflowRunId)
+  }
+  if (!handOff) return undefined
+
+  const claimedRootCid = handOff.context.ipfs_root_cid
+  if (!claimedRootCid || !handOff.carPath) {
+    throw new FilecoinPinError('Build context has no ipfs_root_cid or CAR file', ERROR_CODES.INVALID_CAR)
+  }
+
+  const { rootCid, blockCount } = await verifyCarFile(handOff.carPath, claimedRootCid)
+  console.log(`✓ Verified handed-off CAR: root ${rootCid}, ${blockCount} blocks`)
+
+  const { size } = await stat(handOff.carPath)
+  return {
+    buildResult: {
+      carPath: handOff.carPath,
+      ipfsRootCid: rootCid,
+      contentPath: handOff.context.content_path || '',
+      carSize: size,
+    },
+    context: handOff.context,
+  }
+}
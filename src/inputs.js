@@ -1,5 +1,7 @@
 import { resolve } from 'node:path'
 import { ethers } from 'ethers'
+import { parsePaymentToken, parseTokenAmount } from './tokens.js'
+import { MAX_CHUNK_SIZE } from './unixfs.js'
 
 // Import types for JSDoc
 /**
@@ -78,64 +80,435 @@ export function parseBoolean(v) {
   return s === 'true' || s === '1' || s === 'yes'
 }
 
+/**
+ * Parse a comma or newline separated list
+ * @param {string} v - Raw value
+ * @returns {string[]} Trimmed, non-empty entries
+ */
+export function parseList(v) {
+  return v
+    .split(/[,\n]/)
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+}
+
+/**
+ * Parse the `targets` input: `name=path` entries, comma or newline separated
+ * @param {string} v - Raw value
+ * @returns {Array<{ name: string, path: string }>} Targets, in input order
+ */
+function parseTargets(v) {
+  /** @type {Array<{ name: string, path: string }>} */
+  const targets = []
+  for (const entry of parseList(v)) {
+    const separator = entry.indexOf('=')
+    const name = entry.slice(0, separator).trim()
+    const path = entry.slice(separator + 1).trim()
+    if (separator === -1 || !/^[A-Za-z0-9._-]+$/.test(name) || !path) {
+      throw new Error(
+        `targets entries must be name=path with a name of letters, digits, ".", "_" or "-", got "${entry}"`
+      )
+    }
+    if (targets.some((target) => target.name === name)) {
+      throw new Error(`targets has more than one entry named "${name}"`)
+    }
+    targets.push({ name, path })
+  }
+  return targets
+}
+
+/**
+ * Multipliers of the size suffixes accepted by parseSize
+ * @type {Record<string, number>}
+ */
+const SIZE_UNITS = { '': 1, b: 1, kb: 1e3, mb: 1e6, gb: 1e9, kib: 1024, mib: 1024 ** 2, gib: 1024 ** 3 }
+
+/**
+ * Parse a size in bytes, with an optional unit (e.g. `500MB`, `1.5 GiB`)
+ * @param {string} v - Raw value
+ * @returns {number | undefined} Size in bytes, undefined when the value is not a size
+ */
+export function parseSize(v) {
+  const match = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i.exec(v.trim())
+  const unit = SIZE_UNITS[match?.[2]?.toLowerCase() ?? '']
+  if (!match || unit == null) return undefined
+  return Math.floor(Number(match[1]) * unit)
+}
+
+/**
+ * Action modes: `single` builds and uploads in one job, `build` only packs the CAR (no secrets needed),
+ * `upload` uploads a CAR produced by an earlier `build` job, `cleanup` removes pull request pieces that are no longer needed,
+ * `maintenance` tops up Filecoin Pay for minStorageDays, `inspect` reports where a root CID, piece CID, or data set
+ * is stored. The last three neither build nor upload.
+ */
+const MODES = ['single', 'build', 'upload', 'cleanup', 'maintenance', 'inspect']
+
+/**
+ * Parse and validate the `mode` input
+ * @returns {'single' | 'build' | 'upload' | 'cleanup' | 'maintenance' | 'inspect'} Action mode
+ */
+export function parseMode() {
+  const mode = getInput('mode', 'single').toLowerCase() || 'single'
+  if (!MODES.includes(mode)) {
+    throw new Error(`mode must be one of ${MODES.map((m) => `"${m}"`).join(', ')}`)
+  }
+  return /** @type {'single' | 'build' | 'upload' | 'cleanup' | 'maintenance' | 'inspect'} */ (mode)
+}
+
+/**
+ * Networks: `mainnet` and `calibration` use Synapse's public RPC endpoints and contracts, `devnet` is any other
+ * deployment (local or self-hosted) reached through `rpcUrl` and `warmStorageAddress`
+ */
+const NETWORKS = ['mainnet', 'calibration', 'devnet']
+
 /**
  * Parse and validate all action inputs
- * @param {string} phase - Action phase (compute, from-cache, or upload/single)
+ * @param {string} phase - Action phase (compute packs content, from-cache loads a handed-off CAR, upload/single spend funds)
  * @returns {ParsedInputs} Parsed and validated inputs
  */
 export function parseInputs(phase = 'single') {
+  const mode = parseMode()
   const walletPrivateKey = getInput('walletPrivateKey')
+  const keystorePath = getInput('keystorePath', '')
+  const keystorePassword = getInput('keystorePassword', '')
+  const signerUrl = getInput('signerUrl', '')
+  const signerAddress = getInput('signerAddress', '')
+  const signerAuthorization = getInput('signerAuthorization', '')
   const contentPath = getInput('path')
+  const carPath = getInput('carPath', '')
+  const targets = parseTargets(getInput('targets', ''))
+  const include = parseList(getInput('include', ''))
+  const exclude = parseList(getInput('exclude', ''))
+  const filecoinIgnore = parseBoolean(getInput('filecoinIgnore', 'true'))
+  const includeHidden = parseBoolean(getInput('includeHidden', 'true'))
+  const symlinksRaw = getInput('symlinks', 'follow').toLowerCase() || 'follow'
+  const deterministic = parseBoolean(getInput('deterministic', 'false'))
+  const chunkSizeRaw = getInput('chunkSize', '')
+  const rawLeavesRaw = getInput('rawLeaves', '')
+  const cidVersionRaw = getInput('cidVersion', '')
+  const shardSplitThresholdRaw = getInput('shardSplitThreshold', '')
   const networkRaw = getInput('network')
+  const rpcUrl = getInput('rpcUrl', '')
+  const warmStorageAddress = getInput('warmStorageAddress', '')
   const minStorageDaysRaw = getInput('minStorageDays', '')
   const filecoinPayBalanceLimitRaw = getInput('filecoinPayBalanceLimit', '')
+  const withdrawExcess = parseBoolean(getInput('withdrawExcess', 'false'))
   const withCDN = parseBoolean(getInput('withCDN', 'false'))
-  const token = getInput('token', 'USDFC')
+  const tokenRaw = getInput('token', 'USDFC') || 'USDFC'
   const providerAddress = getInput('providerAddress', '0xa3971A7234a3379A1813d9867B531e7EeB20ae07')
+  const providerAddresses = parseList(getInput('providerAddresses', ''))
+  const providerCountRaw = getInput('providerCount', '1')
+  const allowPartialUploads = parseBoolean(getInput('allowPartialUploads', 'false'))
+  const providerFallback = parseBoolean(getInput('providerFallback', 'true'))
+  const fallbackProviders = parseList(getInput('fallbackProviders', ''))
+  const fallbackOrderRaw = getInput('fallbackOrder', 'registry').toLowerCase() || 'registry'
+  const uploadAttemptsRaw = getInput('uploadAttempts', '3')
+  const dataSetScopeRaw = getInput('dataSetScope', 'wallet').toLowerCase() || 'wallet'
+  const cleanupPullRequestRaw = getInput('cleanupPullRequest', '')
+  const cleanupOlderThanDaysRaw = getInput('cleanupOlderThanDays', '')
+  const artifactRetentionDaysRaw = getInput('artifactRetentionDays', '')
+  const ledgerRaw = getInput('ledger', 'artifact').toLowerCase() || 'artifact'
+  const ledgerBranch = getInput('ledgerBranch', 'filecoin-pin-ledger') || 'filecoin-pin-ledger'
+  const ledgerHistoryRaw = getInput('ledgerHistory', '10')
+  const maxCarSizeRaw = getInput('maxCarSize', '')
+  const maxDepositPerRunRaw = getInput('maxDepositPerRun', '')
+  const maxMonthlySpendRaw = getInput('maxMonthlySpend', '')
+  const maxUploadCostRaw = getInput('maxUploadCost', '')
+  const runwayAlertDaysRaw = getInput('runwayAlertDays', '')
+  const walletAlertBalanceRaw = getInput('walletAlertBalance', '')
+  const walletAlertFilRaw = getInput('walletAlertFil', '')
+  const minGasBalanceRaw = getInput('minGasBalance', '0.01')
+  const alertIssue = parseBoolean(getInput('alertIssue', 'false'))
+  const inspectTarget = getInput('inspectTarget', '')
+  const allowForkUploads = parseBoolean(getInput('allowForkUploads', 'false'))
+  const forkAllowedAuthors = parseList(getInput('forkAllowedAuthors', ''))
+  const forkUploadLabel = getInput('forkUploadLabel', '')
+  const contextPath = getInput('contextPath', '')
+  const buildRunIdRaw = getInput('buildRunId', '')
+  const dryRun = parseBoolean(getInput('dryRun', 'false'))
+  const verifyRetrievalRaw = getInput('verifyRetrieval', 'off').toLowerCase() || 'off'
+  const verifyGatewayUrl = getInput('verifyGatewayUrl', '')
+  const verifyTimeoutRaw = getInput('verifyTimeout', '300')
 
-  if (!contentPath) {
-    throw new Error('path is required')
+  // Only packing needs content, later phases use the CAR recorded by the build phase
+  if (phase === 'compute' && !contentPath && !carPath && targets.length === 0) {
+    throw new Error('path, carPath, or targets is required')
+  }
+  if (targets.length > 0 && (contentPath || carPath)) {
+    throw new Error('Set either targets or path/carPath, not both')
+  }
+  if (targets.length > 0 && mode !== 'single') {
+    throw new Error('targets is only supported in mode: single')
+  }
+  if (contentPath && carPath) {
+    throw new Error('Set either path (content to pack) or carPath (a CAR built elsewhere), not both')
   }
 
+  if (!['follow', 'skip'].includes(symlinksRaw)) {
+    throw new Error('symlinks must be one of "follow", "skip"')
+  }
+  const symlinks = /** @type {'follow' | 'skip'} */ (symlinksRaw)
+
+  // UnixFS layout, checked here so a bad combination fails before packing
+  const chunkSize = chunkSizeRaw ? parseSize(chunkSizeRaw) : undefined
+  if (chunkSizeRaw && (chunkSize == null || chunkSize < 1 || chunkSize > MAX_CHUNK_SIZE)) {
+    throw new Error('chunkSize must be a size between 1 byte and 1MiB (e.g. 256KiB)')
+  }
+  const rawLeaves = rawLeavesRaw ? parseBoolean(rawLeavesRaw) : undefined
+  if (cidVersionRaw && !['0', '1'].includes(cidVersionRaw)) {
+    throw new Error('cidVersion must be 0 or 1')
+  }
+  const cidVersion = cidVersionRaw ? /** @type {0 | 1} */ (Number(cidVersionRaw)) : undefined
+  if (cidVersion === 0 && rawLeaves) {
+    throw new Error('rawLeaves needs cidVersion 1, CIDv0 can only address UnixFS (dag-pb) blocks')
+  }
+  const shardSplitThreshold = shardSplitThresholdRaw ? parseSize(shardSplitThresholdRaw) : undefined
+  if (shardSplitThresholdRaw && (shardSplitThreshold == null || shardSplitThreshold < 1)) {
+    throw new Error('shardSplitThreshold must be a size in bytes, optionally with a unit (e.g. 256KiB)')
+  }
+
+  // Packing and loading a CAR are keyless, so `mode: build` jobs need neither network nor wallet
+  const spendsFunds = phase !== 'compute' && phase !== 'from-cache'
+
   const normalizedNetwork = networkRaw.trim().toLowerCase()
-  /** @type {'mainnet' | 'calibration'} */
-  const network = /** @type {'mainnet' | 'calibration'} */ (normalizedNetwork)
-  if (!network || (network !== 'mainnet' && network !== 'calibration')) {
-    throw new Error('network must be either "mainnet" or "calibration"')
+  /** @type {'mainnet' | 'calibration' | 'devnet'} */
+  const network = /** @type {'mainnet' | 'calibration' | 'devnet'} */ (normalizedNetwork)
+  if ((spendsFunds || network) && !NETWORKS.includes(network)) {
+    throw new Error(`network must be one of ${NETWORKS.map((n) => `"${n}"`).join(', ')}`)
   }
 
-  // Validate required inputs (only for phases that need wallet)
-  // Build mode (compute phase) doesn't need the wallet
-  if (phase !== 'compute' && !walletPrivateKey) {
-    throw new Error('walletPrivateKey is required')
+  // Custom endpoints: a self-hosted Lotus node, an HTTP RPC, or a devnet with its own contracts
+  if (rpcUrl && !/^(https?|wss?):\/\//i.test(rpcUrl)) {
+    throw new Error('rpcUrl must be an http(s) or ws(s) URL')
+  }
+  if (warmStorageAddress && !ethers.isAddress(warmStorageAddress)) {
+    throw new Error('warmStorageAddress must be a contract address')
+  }
+  if (network === 'devnet' && (!rpcUrl || !warmStorageAddress)) {
+    throw new Error('network "devnet" needs rpcUrl and warmStorageAddress')
   }
 
+  // Validate required inputs (only for phases that need wallet): a raw key, an encrypted keystore, or a remote signer
+  const signerSources = [walletPrivateKey, keystorePath, signerUrl].filter(Boolean).length
+  if (spendsFunds && signerSources === 0) {
+    throw new Error('walletPrivateKey, keystorePath, or signerUrl is required')
+  }
+  if (signerSources > 1) {
+    throw new Error('Set only one of walletPrivateKey, keystorePath, signerUrl')
+  }
+  if (keystorePath && !keystorePassword) {
+    throw new Error('keystorePassword is required with keystorePath')
+  }
+  if (signerUrl && !/^https?:\/\//i.test(signerUrl)) {
+    throw new Error('signerUrl must be an http(s) URL')
+  }
+  if (signerUrl && /^wss?:\/\//i.test(rpcUrl)) {
+    throw new Error('signerUrl needs an http(s) rpcUrl')
+  }
+  if (signerAddress && !ethers.isAddress(signerAddress)) {
+    throw new Error('signerAddress must be an address')
+  }
+
+  let buildRunId
+  if (buildRunIdRaw) {
+    buildRunId = Number(buildRunIdRaw)
+    if (!Number.isInteger(buildRunId) || buildRunId < 1) {
+      throw new Error('buildRunId must be a workflow run ID')
+    }
+  }
+
+  // Amounts below are in the payment token
+  const token = parsePaymentToken(tokenRaw)
+
   // Parse numeric values
   let minStorageDays = Number(minStorageDaysRaw)
   if (!Number.isFinite(minStorageDays) || minStorageDays < 0) minStorageDays = 0
 
   const filecoinPayBalanceLimit = filecoinPayBalanceLimitRaw
-    ? ethers.parseUnits(filecoinPayBalanceLimitRaw, 18)
+    ? parseTokenAmount(filecoinPayBalanceLimitRaw, token)
     : undefined
 
   if (minStorageDays > 0 && filecoinPayBalanceLimit == null) {
     throw new Error('filecoinPayBalanceLimit must be set when minStorageDays is provided')
   }
+  if (withdrawExcess && filecoinPayBalanceLimit == null) {
+    throw new Error('withdrawExcess needs filecoinPayBalanceLimit, the balance to keep in Filecoin Pay')
+  }
+
+  const invalidProvider = providerAddresses.find((address) => !ethers.isAddress(address))
+  if (invalidProvider) {
+    throw new Error(`providerAddresses contains an invalid address: ${invalidProvider}`)
+  }
+  const invalidFallback = fallbackProviders.find((address) => !ethers.isAddress(address))
+  if (invalidFallback) {
+    throw new Error(`fallbackProviders contains an invalid address: ${invalidFallback}`)
+  }
+
+  if (!['registry', 'price', 'random'].includes(fallbackOrderRaw)) {
+    throw new Error('fallbackOrder must be one of "registry", "price", "random"')
+  }
+  const fallbackOrder = /** @type {'registry' | 'price' | 'random'} */ (fallbackOrderRaw)
+
+  const providerCount = Number(providerCountRaw || '1')
+  if (!Number.isInteger(providerCount) || providerCount < 1) {
+    throw new Error('providerCount must be a positive whole number')
+  }
+  if (providerAddresses.length > 0 && providerCount > 1) {
+    throw new Error('Set either providerAddresses or providerCount, not both')
+  }
+
+  const uploadAttempts = Number(uploadAttemptsRaw || '3')
+  if (!Number.isInteger(uploadAttempts) || uploadAttempts < 1) {
+    throw new Error('uploadAttempts must be a positive whole number')
+  }
+
+  if (!['branch', 'wallet'].includes(dataSetScopeRaw)) {
+    throw new Error('dataSetScope must be one of "branch", "wallet"')
+  }
+  const dataSetScope = /** @type {'branch' | 'wallet'} */ (dataSetScopeRaw)
+
+  let cleanupPullRequest
+  if (cleanupPullRequestRaw) {
+    cleanupPullRequest = Number(cleanupPullRequestRaw)
+    if (!Number.isInteger(cleanupPullRequest) || cleanupPullRequest < 1) {
+      throw new Error('cleanupPullRequest must be a pull request number')
+    }
+  }
+
+  let cleanupOlderThanDays
+  if (cleanupOlderThanDaysRaw) {
+    cleanupOlderThanDays = Number(cleanupOlderThanDaysRaw)
+    if (!Number.isFinite(cleanupOlderThanDays) || cleanupOlderThanDays < 0) {
+      throw new Error('cleanupOlderThanDays must be a non-negative number of days')
+    }
+  }
 
-  // Validate token selection (currently USDFC only)
-  if (token && token.toUpperCase() !== 'USDFC') {
-    throw new Error('Only USDFC is supported at this time for payments. Token override will be enabled later.')
+  let artifactRetentionDays
+  if (artifactRetentionDaysRaw) {
+    artifactRetentionDays = Number(artifactRetentionDaysRaw)
+    if (!Number.isInteger(artifactRetentionDays) || artifactRetentionDays < 1) {
+      throw new Error('artifactRetentionDays must be a positive whole number of days')
+    }
   }
+
+  if (!['off', 'artifact', 'branch'].includes(ledgerRaw)) {
+    throw new Error('ledger must be one of "off", "artifact", "branch"')
+  }
+  const ledger = /** @type {'off' | 'artifact' | 'branch'} */ (ledgerRaw)
+
+  const ledgerHistory = Number(ledgerHistoryRaw || '10')
+  if (!Number.isInteger(ledgerHistory) || ledgerHistory < 0) {
+    throw new Error('ledgerHistory must be a non-negative whole number')
+  }
+
+  // Budget guardrails, enforced before any deposit or upload
+  const maxCarSize = maxCarSizeRaw ? parseSize(maxCarSizeRaw) : undefined
+  if (maxCarSizeRaw && (maxCarSize == null || maxCarSize < 1)) {
+    throw new Error('maxCarSize must be a size in bytes, optionally with a unit (e.g. 500MB, 1GiB)')
+  }
+  const maxDepositPerRun = maxDepositPerRunRaw ? parseTokenAmount(maxDepositPerRunRaw, token) : undefined
+  const maxMonthlySpend = maxMonthlySpendRaw ? parseTokenAmount(maxMonthlySpendRaw, token) : undefined
+  const maxUploadCost = maxUploadCostRaw ? parseTokenAmount(maxUploadCostRaw, token) : undefined
+  // The artifact ledger drops the entries of runs finishing together, so their deposits would not count
+  if (maxMonthlySpend != null && ledger !== 'branch') {
+    throw new Error('maxMonthlySpend needs the branch ledger, set ledger to "branch"')
+  }
+
+  // Low balance alert thresholds
+  let runwayAlertDays
+  if (runwayAlertDaysRaw) {
+    runwayAlertDays = Number(runwayAlertDaysRaw)
+    if (!Number.isFinite(runwayAlertDays) || runwayAlertDays < 0) {
+      throw new Error('runwayAlertDays must be a non-negative number of days')
+    }
+  }
+  const walletAlertBalance = walletAlertBalanceRaw ? parseTokenAmount(walletAlertBalanceRaw, token) : undefined
+  const walletAlertFil = walletAlertFilRaw ? ethers.parseEther(walletAlertFilRaw) : undefined
+
+  // Every transaction the action sends pays gas in FIL
+  const minGasBalance = ethers.parseEther(minGasBalanceRaw || '0')
+  if (minGasBalance < 0n) {
+    throw new Error('minGasBalance must be a non-negative amount of FIL')
+  }
+
+  if (!['off', 'warn', 'fail'].includes(verifyRetrievalRaw)) {
+    throw new Error('verifyRetrieval must be one of "off", "warn", "fail"')
+  }
+  const verifyRetrieval = /** @type {'off' | 'warn' | 'fail'} */ (verifyRetrievalRaw)
+
+  if (verifyGatewayUrl && !/^https?:\/\//.test(verifyGatewayUrl)) {
+    throw new Error('verifyGatewayUrl must be an http(s) URL')
+  }
+
+  const verifyTimeout = Number(verifyTimeoutRaw || '300')
+  if (!Number.isFinite(verifyTimeout) || verifyTimeout <= 0) {
+    throw new Error('verifyTimeout must be a positive number of seconds')
+  }
+
   /** @type {ParsedInputs} */
   const parsedInputs = {
     walletPrivateKey,
+    keystorePath,
+    keystorePassword,
+    signerUrl,
+    signerAddress,
+    signerAuthorization,
     contentPath,
+    carPath,
+    targets,
+    include,
+    exclude,
+    filecoinIgnore,
+    includeHidden,
+    symlinks,
+    deterministic,
+    chunkSize,
+    rawLeaves,
+    cidVersion,
+    shardSplitThreshold,
     network,
+    rpcUrl,
+    warmStorageAddress,
     minStorageDays,
     filecoinPayBalanceLimit,
+    withdrawExcess,
     withCDN,
     token,
     providerAddress,
+    providerAddresses: [...new Set(providerAddresses)],
+    providerCount,
+    allowPartialUploads,
+    providerFallback,
+    fallbackProviders,
+    fallbackOrder,
+    uploadAttempts,
+    dataSetScope,
+    cleanupPullRequest,
+    cleanupOlderThanDays,
+    artifactRetentionDays,
+    ledger,
+    ledgerBranch,
+    ledgerHistory,
+    maxCarSize,
+    maxDepositPerRun,
+    maxMonthlySpend,
+    maxUploadCost,
+    runwayAlertDays,
+    walletAlertBalance,
+    walletAlertFil,
+    minGasBalance,
+    alertIssue,
+    inspectTarget,
+    allowForkUploads,
+    forkAllowedAuthors,
+    forkUploadLabel,
+    mode,
+    contextPath,
+    buildRunId,
+    dryRun,
+    verifyRetrieval,
+    verifyGatewayUrl,
+    verifyTimeout,
   }
 
   return parsedInputs
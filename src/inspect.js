@@ -0,0 +1,214 @@
+import {
+  calculateLastProofDate,
+  constructPieceUrl,
+  epochToDate,
+  getCurrentEpoch,
+  METADATA_KEYS,
+  PDPVerifier,
+  TIME_CONSTANTS,
+  WarmStorageService,
+} from '@filoz/synapse-sdk'
+import { asPieceCID } from '@filoz/synapse-sdk/piece'
+import { CID } from 'multiformats/cid'
+import pino from 'pino'
+import { mergeAndSaveContext } from './context.js'
+import { getPdpServer } from './datasets.js'
+import { ERROR_CODES, FilecoinPinError, getErrorMessage } from './errors.js'
+import { cleanupSynapse, initializeSynapse } from './filecoin.js'
+import { parseInputs } from './inputs.js'
+import { appendSummary, getInspectSummary, writeOutputs } from './outputs.js'
+import { formatTokenAmount } from './tokens.js'
+
+// Import types for JSDoc
+/**
+ * @typedef {import('./types.js').InspectedDataSet} InspectedDataSet
+ * @typedef {import('./types.js').InspectResult} InspectResult
+ * @typedef {import('./types.js').ParsedInputs} ParsedInputs
+ */
+
+/**
+ * Work out what kind of identifier the inspect target is
+ * @param {string} target - inspectTarget input
+ * @returns {{ type: InspectResult['target_type'], value: string }} Target type and normalized value
+ */
+export function classifyInspectTarget(target) {
+  if (/^\d+$/.test(target)) return { type: 'data-set', value: target }
+
+  const pieceCid = asPieceCID(target)
+  if (pieceCid) return { type: 'piece-cid', value: pieceCid.toString() }
+
+  try {
+    return { type: 'root-cid', value: CID.parse(target).toV1().toString() }
+  } catch {
+    throw new FilecoinPinError(
+      `inspectTarget must be an IPFS root CID, a piece CID, or a data set ID, got "${target}"`,
+      ERROR_CODES.INVALID_INPUT
+    )
+  }
+}
+
+/**
+ * Run inspect mode: report which data sets hold a root CID, piece CID, or data set ID, with their provider,
+ * proving status, and payment rail
+ */
+export async function runInspect() {
+  const logger = pino({ level: process.env.LOG_LEVEL || 'info' })
+
+  console.log('━━━ Inspect: Looking Up Stored Content ━━━')
+
+  /** @type {ParsedInputs} */
+  const inputs = parseInputs('inspect')
+  const { network, inspectTarget, token } = inputs
+  if (!inspectTarget) {
+    throw new FilecoinPinError('mode: inspect needs inspectTarget', ERROR_CODES.INVALID_INPUT)
+  }
+  const target = classifyInspectTarget(inspectTarget)
+  console.log(`Inspecting ${target.type} ${target.value}`)
+
+  const synapse = await initializeSynapse(inputs, logger)
+
+  // A data set ID is looked up directly, CIDs are searched for in the wallet's live data sets
+  /** @type {number[]} */
+  const dataSetIds =
+    target.type === 'data-set'
+      ? [Number(target.value)]
+      : (await synapse.storage.findDataSets())
+          .filter((/** @type {any} */ dataSet) => dataSet.isLive)
+          .map((/** @type {any} */ dataSet) => dataSet.pdpVerifierDataSetId)
+
+  const warmStorage = await WarmStorageService.create(synapse.getProvider(), synapse.getWarmStorageAddress())
+  const verifier = new PDPVerifier(synapse.getProvider(), synapse.getPDPVerifierAddress())
+  const currentEpoch = Number(await getCurrentEpoch(synapse.getProvider()))
+  const [maxProvingPeriod, challengeWindow] = await Promise.all([
+    warmStorage.getMaxProvingPeriod(),
+    warmStorage.getChallengeWindow(),
+  ])
+
+  /** @type {InspectedDataSet[]} */
+  const dataSets = []
+  for (const dataSetId of dataSetIds) {
+    const dataSet = await inspectDataSet(synapse, { warmStorage, verifier }, dataSetId, target, token, {
+      currentEpoch,
+      maxProvingPeriod,
+      challengeWindow,
+    })
+    if (dataSet) dataSets.push(dataSet)
+  }
+
+  /** @type {InspectResult} */
+  const result = {
+    target: target.value,
+    target_type: target.type,
+    network,
+    stored: dataSets.some((dataSet) => dataSet.live && dataSet.rail.end_epoch === '0' && dataSet.pieces.length > 0),
+    data_sets: dataSets,
+  }
+
+  await mergeAndSaveContext({ network, upload_status: 'inspected' })
+  await writeOutputs({
+    upload_status: 'inspected',
+    stored: String(result.stored),
+    inspect_result: JSON.stringify(result),
+  })
+
+  console.log(`Found in ${dataSets.length} data set(s)`)
+  for (const dataSet of dataSets) {
+    console.log(
+      `Data set ${dataSet.data_set_id}: ${dataSet.proving}, provider ${dataSet.provider_name || dataSet.provider_id}, ${dataSet.pieces.length} matching piece(s), ${dataSet.rail.monthly_rate} ${dataSet.rail.token}/month`
+    )
+  }
+  console.log(
+    result.stored
+      ? `::notice::${target.value} is stored in a live data set`
+      : `::warning::${target.value} is not stored in any live, paid data set of this wallet`
+  )
+
+  await appendSummary(getInspectSummary(result))
+  await cleanupSynapse()
+}
+
+/**
+ * Describe a data set and the pieces in it that match the target
+ * @param {any} synapse - Synapse service
+ * @param {{ warmStorage: WarmStorageService, verifier: PDPVerifier }} services - Contract clients
+ * @param {number} dataSetId - Data set ID
+ * @param {{ type: InspectResult['target_type'], value: string }} target - Inspect target
+ * @param {string} token - Payment token the wallet's rails are paid in
+ * @param {{ currentEpoch: number, maxProvingPeriod: number, challengeWindow: number }} timing - Chain timing
+ * @returns {Promise<InspectedDataSet | undefined>} Data set, undefined when searching for a CID it does not hold
+ */
+async function inspectDataSet(synapse, { warmStorage, verifier }, dataSetId, target, token, timing) {
+  const info = await warmStorage.getDataSet(dataSetId)
+  const live = await verifier.dataSetLive(dataSetId)
+  const provider = await synapse.getProviderInfo(info.providerId)
+
+  /** @type {InspectedDataSet['pieces']} */
+  let pieces = []
+  let nextChallengeEpoch = 0
+  let pieceCount = 0
+  if (live) {
+    try {
+      const server = await getPdpServer(synapse, info.providerId)
+      const data = await server.getDataSet(dataSetId)
+      nextChallengeEpoch = data.nextChallengeEpoch
+      pieceCount = data.pieces.length
+
+      for (const piece of data.pieces) {
+        const pieceCid = piece.pieceCid.toString()
+        if (target.type === 'piece-cid' && pieceCid !== target.value) continue
+
+        // Root CIDs are only known from the piece metadata recorded at upload
+        const metadata = target.type === 'piece-cid' ? {} : await warmStorage.getPieceMetadata(dataSetId, piece.pieceId)
+        const rootCid = metadata[METADATA_KEYS.IPFS_ROOT_CID]
+        if (target.type === 'root-cid' && rootCid !== target.value) continue
+
+        pieces.push({
+          piece_id: String(piece.pieceId),
+          piece_cid: pieceCid,
+          ipfs_root_cid: rootCid,
+          preview_url: constructPieceUrl(server.getServiceURL(), piece.pieceCid),
+        })
+      }
+    } catch (error) {
+      console.warn(`::warning::Could not list the pieces of data set ${dataSetId}: ${getErrorMessage(error)}`)
+      pieces = []
+    }
+  }
+  if (target.type !== 'data-set' && pieces.length === 0) return undefined
+
+  const rail = await synapse.payments.getRail(info.pdpRailId)
+  const networkType = synapse.getNetwork()
+
+  /** @type {InspectedDataSet['proving']} */
+  let proving = 'proving'
+  if (!live) proving = 'not-live'
+  else if (nextChallengeEpoch === 0) proving = 'not-started'
+  else if (timing.currentEpoch > nextChallengeEpoch + timing.challengeWindow) proving = 'overdue'
+
+  const lastProven =
+    nextChallengeEpoch > 0 ? calculateLastProofDate(nextChallengeEpoch, timing.maxProvingPeriod, networkType) : null
+
+  return {
+    data_set_id: String(dataSetId),
+    live,
+    proving,
+    last_proven: lastProven?.toISOString(),
+    next_proof_due:
+      nextChallengeEpoch > 0
+        ? epochToDate(nextChallengeEpoch + timing.challengeWindow, networkType).toISOString()
+        : undefined,
+    provider_id: String(info.providerId),
+    provider_name: provider.name || '',
+    with_cdn: info.cdnRailId > 0,
+    metadata: await warmStorage.getDataSetMetadata(dataSetId),
+    piece_count: pieceCount,
+    pieces,
+    rail: {
+      rail_id: String(info.pdpRailId),
+      token,
+      monthly_rate: formatTokenAmount(rail.paymentRate * TIME_CONSTANTS.EPOCHS_PER_MONTH, token),
+      settled_up_to: String(rail.settledUpTo),
+      end_epoch: String(rail.endEpoch),
+    },
+  }
+}
@@ -0,0 +1,367 @@
+import { promises as fs } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { DefaultArtifactClient } from '@actions/artifact'
+import { TOKENS } from '@filoz/synapse-sdk'
+import { Octokit } from '@octokit/rest'
+import { getErrorMessage } from './errors.js'
+import { getInput } from './inputs.js'
+import { withRetry } from './retry.js'
+import { formatTokenAmount, parseTokenAmount } from './tokens.js'
+
+// Import types for JSDoc
+/**
+ * @typedef {import('./types.js').CombinedContext} CombinedContext
+ * @typedef {import('./types.js').LedgerEntry} LedgerEntry
+ */
+
+/**
+ * Name of the workflow artifact carrying the ledger from run to run (`ledger: artifact`)
+ */
+const LEDGER_ARTIFACT = 'filecoin-pin-ledger'
+
+/**
+ * Ledger file name, in the artifact and on the ledger branch. One JSON entry per line, oldest first.
+ */
+const LEDGER_FILE = 'ledger.jsonl'
+
+/**
+ * Directory the ledger of this run is written to
+ * @returns {string} Ledger directory path
+ */
+function getLedgerDir() {
+  return join(process.env.RUNNER_TEMP || tmpdir(), 'filecoin-pin-ledger')
+}
+
+/**
+ * Make sure ledger text ends with a newline, so the next entry starts on its own line
+ * @param {string} text - Ledger file contents
+ * @returns {string} Contents ending with a newline, or ''
+ */
+function terminateLines(text) {
+  return text === '' || text.endsWith('\n') ? text : `${text}\n`
+}
+
+/**
+ * Build the ledger entry of an upload
+ * @param {Partial<CombinedContext>} ctx - Context of the finished upload
+ * @param {import('ethers').BigNumberish} deposited - Payment token (base units) deposited to Filecoin Pay by this run
+ * @returns {LedgerEntry} Ledger entry
+ */
+export function toLedgerEntry(ctx, deposited) {
+  const token = ctx.payment_status?.token || TOKENS.USDFC
+  const orphanedPieces = (ctx.uploads || []).flatMap((upload) => [
+    ...(upload.skipped || []).flatMap((skipped) => skipped.orphaned_pieces || []),
+    ...(upload.orphaned_pieces || []),
+  ])
+  return {
+    uploaded_at: new Date().toISOString(),
+    ipfs_root_cid: ctx.ipfs_root_cid || '',
+    piece_cid: ctx.piece_cid || '',
+    data_set_id: ctx.data_set_id || '',
+    provider_id: ctx.provider?.id || '',
+    provider_name: ctx.provider?.name || '',
+    network: ctx.network || '',
+    token,
+    deposited: formatTokenAmount(deposited, token),
+    ...(Number(ctx.payment_status?.withdrawnThisRun) > 0
+      ? { withdrawn: /** @type {string} */ (ctx.payment_status?.withdrawnThisRun) }
+      : {}),
+    ...(orphanedPieces.length > 0 ? { orphaned_pieces: orphanedPieces } : {}),
+    commit_sha: ctx.pr?.sha || process.env.GITHUB_SHA || '',
+    ...(ctx.pr?.number ? { pr_number: ctx.pr.number } : {}),
+    run_id: ctx.run_id || process.env.GITHUB_RUN_ID || '',
+    upload_status: ctx.upload_status || '',
+  }
+}
+
+/**
+ * Read the amounts of entries written before they were renamed (deposited_usdfc, withdrawn_usdfc)
+ * @param {any} entry - Parsed ledger line
+ * @returns {LedgerEntry} Entry with `deposited` and `withdrawn`
+ */
+function fromLegacyEntry(entry) {
+  const { deposited_usdfc, withdrawn_usdfc, ...rest } = entry
+  const withdrawn = rest.withdrawn ?? withdrawn_usdfc
+  return { ...rest, deposited: rest.deposited ?? deposited_usdfc ?? '0', ...(withdrawn ? { withdrawn } : {}) }
+}
+
+/**
+ * Parse a ledger file, skipping lines that are not valid entries
+ * @param {string} text - Ledger file contents
+ * @returns {LedgerEntry[]} Entries, oldest first
+ */
+export function parseLedger(text) {
+  /** @type {LedgerEntry[]} */
+  const entries = []
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue
+    try {
+      entries.push(fromLegacyEntry(JSON.parse(line)))
+    } catch {
+      console.warn(`Skipping unreadable ledger line: ${line.slice(0, 80)}`)
+    }
+  }
+  return entries
+}
+
+/**
+ * Latest entries of the ledger
+ * @param {LedgerEntry[]} entries - Ledger entries, oldest first
+ * @param {number} count - Number of entries to keep
+ * @returns {LedgerEntry[]} Up to `count` most recent entries, oldest first
+ */
+export function getRecentEntries(entries, count) {
+  return count > 0 ? entries.slice(-count) : []
+}
+
+/**
+ * Payment token of a ledger entry's amounts
+ * @param {LedgerEntry} entry - Ledger entry
+ * @returns {string} Token identifier, USDFC for entries written before the token was recorded
+ */
+function getEntryToken(entry) {
+  return entry.token || TOKENS.USDFC
+}
+
+/**
+ * Sum the deposits of ledger entries made in one token, in its base units
+ * @param {LedgerEntry[]} entries - Ledger entries
+ * @param {string} token - Token identifier, entries in other tokens are left out
+ * @returns {bigint} Total deposited
+ */
+function sumDeposits(entries, token) {
+  let total = 0n
+  for (const entry of entries) {
+    if (getEntryToken(entry) !== token) continue
+    try {
+      total += parseTokenAmount(entry.deposited || '0', token)
+    } catch {
+      // Hand-edited or corrupt amount, leave it out of the total
+    }
+  }
+  return total
+}
+
+/**
+ * Sum the deposits of one token recorded in the ledger
+ * @param {LedgerEntry[]} entries - Ledger entries
+ * @param {string} token - Token identifier
+ * @returns {string} Total deposited, in `token`
+ */
+export function getTotalDeposited(entries, token) {
+  return formatTokenAmount(sumDeposits(entries, token), token)
+}
+
+/**
+ * Sum the deposits of one token to a network recorded since a point in time
+ * @param {LedgerEntry[]} entries - Ledger entries
+ * @param {{ since: number, network: string, token: string }} filter - Epoch ms to count from, network, and token
+ * @returns {bigint} Deposited, in base units of `token`
+ */
+export function getDepositedSince(entries, { since, network, token }) {
+  return sumDeposits(
+    entries.filter((entry) => entry.network === network && Date.parse(entry.uploaded_at) >= since),
+    token
+  )
+}
+
+/**
+ * Token and repository for ledger API calls
+ * @returns {{ token: string, owner: string, repo: string } | undefined} Undefined outside GitHub Actions
+ */
+function getLedgerRepository() {
+  const token = process.env.GITHUB_TOKEN || getInput('github_token') || ''
+  const [owner, repo] = (process.env.GITHUB_REPOSITORY || '').split('/')
+  if (!token || !owner || !repo) return undefined
+  return { token, owner, repo }
+}
+
+/**
+ * Read the repository's ledger without changing it
+ * @param {{ storage: 'artifact' | 'branch', branch: string }} options - Where the ledger is kept
+ * @returns {Promise<LedgerEntry[]>} Entries, oldest first
+ */
+export async function readLedger(options) {
+  const repository = getLedgerRepository()
+  if (!repository) throw new Error('GITHUB_TOKEN or GITHUB_REPOSITORY is not set')
+
+  const octokit = new Octokit({ auth: repository.token })
+  const text =
+    options.storage === 'branch'
+      ? (await readBranchLedger(octokit, { ...repository, branch: options.branch })).text
+      : await readLatestArtifactLedger(octokit, repository)
+  return parseLedger(text)
+}
+
+/**
+ * Append uploads to the repository's ledger and write the whole ledger to the runner
+ * @param {LedgerEntry | LedgerEntry[]} entry - Entry to append, or the entries of a multi-target run
+ * @param {{ storage: 'artifact' | 'branch', branch: string, retentionDays?: number | undefined }} options - Where the ledger is kept
+ * @returns {Promise<{ path: string, entries: LedgerEntry[] } | undefined>} Local ledger file and its entries, undefined when the ledger could not be updated
+ */
+export async function appendToLedger(entry, options) {
+  const repository = getLedgerRepository()
+  if (!repository) {
+    console.warn('::warning::Skipping the upload ledger, GITHUB_TOKEN or GITHUB_REPOSITORY is not set')
+    return undefined
+  }
+  const { token, owner, repo } = repository
+
+  // One write for all entries: the artifact can only be uploaded once per run
+  const entries = Array.isArray(entry) ? entry : [entry]
+  const lines = entries.map((item) => `${JSON.stringify(item)}\n`).join('')
+
+  const octokit = new Octokit({ auth: token })
+  const path = join(getLedgerDir(), LEDGER_FILE)
+  await fs.mkdir(getLedgerDir(), { recursive: true })
+
+  try {
+    /** @type {string} */
+    let text
+    if (options.storage === 'branch') {
+      text = await appendToBranch(octokit, { owner, repo, branch: options.branch }, entries, lines)
+      await fs.writeFile(path, text)
+      console.log(
+        `Recorded ${entries.length > 1 ? `${entries.length} uploads` : 'upload'} in ${LEDGER_FILE} on branch '${options.branch}'`
+      )
+    } else {
+      text = `${await readLatestArtifactLedger(octokit, { token, owner, repo })}${lines}`
+      await fs.writeFile(path, text)
+      const client = new DefaultArtifactClient()
+      await client.uploadArtifact(
+        LEDGER_ARTIFACT,
+        [path],
+        getLedgerDir(),
+        options.retentionDays != null ? { retentionDays: options.retentionDays } : {}
+      )
+      console.log(
+        `Recorded ${entries.length > 1 ? `${entries.length} uploads` : 'upload'} in the '${LEDGER_ARTIFACT}' artifact`
+      )
+    }
+    return { path, entries: parseLedger(text) }
+  } catch (error) {
+    console.warn(
+      `::warning::Failed to update the upload ledger: ${getErrorMessage(error)}. Ensure the job has \`permissions: ${options.storage === 'branch' ? 'contents' : 'actions'}: write\`.`
+    )
+    return undefined
+  }
+}
+
+/**
+ * Read the ledger published by the most recent run of this repository that has one
+ * @param {Octokit} octokit - GitHub client
+ * @param {{ token: string, owner: string, repo: string }} repository - Repository and token
+ * @returns {Promise<string>} Ledger file contents, '' when there is no earlier ledger
+ */
+async function readLatestArtifactLedger(octokit, { token, owner, repo }) {
+  const currentRunId = Number(process.env.GITHUB_RUN_ID || 0)
+  const { data } = await octokit.rest.actions.listArtifactsForRepo({ owner, repo, name: LEDGER_ARTIFACT, per_page: 10 })
+
+  // Fork runs could forge entries, only carry forward ledgers of this repository's own runs
+  const latest = data.artifacts.find(
+    (artifact) =>
+      !artifact.expired &&
+      artifact.workflow_run?.id != null &&
+      artifact.workflow_run.id !== currentRunId &&
+      artifact.workflow_run.head_repository_id === artifact.workflow_run.repository_id
+  )
+  if (!latest) {
+    console.log(`No earlier '${LEDGER_ARTIFACT}' artifact found, starting a new ledger`)
+    return ''
+  }
+
+  const workflowRunId = /** @type {number} */ (latest.workflow_run?.id)
+  const path = join(process.env.RUNNER_TEMP || tmpdir(), 'filecoin-pin-previous-ledger')
+  const client = new DefaultArtifactClient()
+  await client.downloadArtifact(latest.id, {
+    path,
+    findBy: { token, workflowRunId, repositoryOwner: owner, repositoryName: repo },
+  })
+  const text = await fs.readFile(join(path, LEDGER_FILE), 'utf8')
+  await fs.rm(path, { recursive: true, force: true })
+  return terminateLines(text)
+}
+
+/**
+ * Commit the entries to the ledger file on the ledger branch, creating the branch (without history) when needed.
+ * Retried when another run committed to the branch in between.
+ * @param {Octokit} octokit - GitHub client
+ * @param {{ owner: string, repo: string, branch: string }} target - Repository and branch
+ * @param {LedgerEntry[]} entries - Entries to append
+ * @param {string} lines - The entries as ledger lines
+ * @returns {Promise<string>} Ledger file contents after the commit
+ */
+async function appendToBranch(octokit, { owner, repo, branch }, entries, lines) {
+  const message = `chore: record upload of ${entries.map((entry) => entry.ipfs_root_cid).join(', ')}`
+
+  return await withRetry(
+    async () => {
+      const current = await readBranchLedger(octokit, { owner, repo, branch })
+      const text = `${current.text}${lines}`
+
+      if (current.branchExists) {
+        await octokit.rest.repos.createOrUpdateFileContents({
+          owner,
+          repo,
+          branch,
+          path: LEDGER_FILE,
+          message,
+          content: Buffer.from(text).toString('base64'),
+          ...(current.sha ? { sha: current.sha } : {}),
+        })
+      } else {
+        const { data: tree } = await octokit.rest.git.createTree({
+          owner,
+          repo,
+          tree: [{ path: LEDGER_FILE, mode: '100644', type: 'blob', content: text }],
+        })
+        const { data: commit } = await octokit.rest.git.createCommit({
+          owner,
+          repo,
+          message,
+          tree: tree.sha,
+          parents: [],
+        })
+        await octokit.rest.git.createRef({ owner, repo, ref: `refs/heads/${branch}`, sha: commit.sha })
+      }
+      return text
+    },
+    {
+      attempts: 5,
+      initialDelayMs: 1000,
+      label: 'Ledger commit',
+      // 409/422: the branch or file changed since it was read
+      shouldRetry: (error) => [409, 422].includes(/** @type {any} */ (error)?.status),
+    }
+  )
+}
+
+/**
+ * Read the ledger file from the ledger branch
+ * @param {Octokit} octokit - GitHub client
+ * @param {{ owner: string, repo: string, branch: string }} target - Repository and branch
+ * @returns {Promise<{ text: string, sha?: string, branchExists: boolean }>} File contents and blob SHA, if the file exists
+ */
+async function readBranchLedger(octokit, { owner, repo, branch }) {
+  try {
+    const { data } = await octokit.rest.repos.getContent({ owner, repo, path: LEDGER_FILE, ref: branch })
+    if (Array.isArray(data) || data.type !== 'file') {
+      throw new Error(`${LEDGER_FILE} on branch '${branch}' is not a file`)
+    }
+    // The contents API omits files over 1 MB, the blob API does not
+    const { data: blob } = await octokit.rest.git.getBlob({ owner, repo, file_sha: data.sha })
+    const text = terminateLines(Buffer.from(blob.content, 'base64').toString('utf8'))
+    return { text, sha: data.sha, branchExists: true }
+  } catch (error) {
+    if (/** @type {any} */ (error)?.status !== 404) throw error
+  }
+
+  try {
+    await octokit.rest.repos.getBranch({ owner, repo, branch })
+    return { text: '', branchExists: true }
+  } catch (error) {
+    if (/** @type {any} */ (error)?.status !== 404) throw error
+    return { text: '', branchExists: false }
+  }
+}
@@ -0,0 +1,115 @@
+import { getPaymentStatus } from 'filecoin-pin/dist/synapse/payments.js'
+import pino from 'pino'
+import { checkBalances, hasBalanceAlerts, reportAlertIssue } from './alerts.js'
+import { checkSpend, hasSpendLimits } from './budget.js'
+import { mergeAndSaveContext } from './context.js'
+import { ERROR_CODES, FilecoinPinError } from './errors.js'
+import {
+  calculateStorageRunway,
+  checkGasBalance,
+  cleanupSynapse,
+  handlePayments,
+  initializeSynapse,
+  planTopUp,
+  withdrawExcess,
+} from './filecoin.js'
+import { parseInputs } from './inputs.js'
+import { appendToLedger, toLedgerEntry } from './ledger.js'
+import { appendSummary, getAlertSummary, getStatusLabel, writeOutputs, writeSummary } from './outputs.js'
+import { formatTokenAmount, formatTokenValue } from './tokens.js'
+
+// Import types for JSDoc
+/**
+ * @typedef {import('./types.js').ParsedInputs} ParsedInputs
+ */
+
+/**
+ * Run maintenance mode: keep Filecoin Pay funded for minStorageDays without building or uploading anything,
+ * for scheduled workflows that outlive quiet periods
+ */
+export async function runMaintenance() {
+  const logger = pino({ level: process.env.LOG_LEVEL || 'info' })
+
+  console.log('━━━ Maintenance: Topping Up Filecoin Pay ━━━')
+
+  /** @type {ParsedInputs} */
+  const inputs = parseInputs('maintenance')
+  const { network, minStorageDays, filecoinPayBalanceLimit, token, withdrawExcess: withdraw, dryRun } = inputs
+  if (minStorageDays <= 0 && !withdraw) {
+    throw new FilecoinPinError(
+      'mode: maintenance needs minStorageDays (and filecoinPayBalanceLimit) to know how much runway to keep, or withdrawExcess',
+      ERROR_CODES.INVALID_INPUT
+    )
+  }
+
+  const synapse = await initializeSynapse(inputs, logger)
+
+  const initialStatus = await getPaymentStatus(synapse)
+  const plan = planTopUp(initialStatus, { minStorageDays, filecoinPayBalanceLimit, token }, logger)
+  console.log(`Deposit needed for ${minStorageDays} days of storage: ${formatTokenValue(plan.topUp, token)}`)
+  if (hasSpendLimits(inputs)) await checkSpend(plan, inputs)
+
+  // Allowance, deposit, and withdrawal transactions all need FIL for gas
+  if (!dryRun) await checkGasBalance(synapse, inputs.minGasBalance)
+
+  // Dry runs stop before the allowance and deposit transactions, withdraw-only runs have nothing to deposit
+  const status =
+    dryRun || minStorageDays <= 0
+      ? initialStatus
+      : await handlePayments(synapse, { minStorageDays, filecoinPayBalanceLimit, token }, logger)
+  const deposited = BigInt(status?.depositedAmount || 0) - BigInt(initialStatus?.depositedAmount || 0)
+
+  // Opt-in: return the balance above filecoinPayBalanceLimit, e.g. after the limit was lowered
+  const withdrawal = withdraw
+    ? await withdrawExcess(synapse, { minStorageDays, filecoinPayBalanceLimit, token }, { dryRun }, logger)
+    : undefined
+  const withdrawn = withdrawal?.plan.amount ?? 0n
+  const currentStatus = withdrawal?.status ?? status
+  if (withdrawal) {
+    console.log(`${dryRun ? 'Withdrawal this run would make' : 'Withdrawn'}: ${formatTokenValue(withdrawn, token)}`)
+  }
+  const uploadStatus = dryRun ? 'dry-run' : 'topped-up'
+
+  const ctx = await mergeAndSaveContext({
+    network,
+    upload_status: uploadStatus,
+    payment_status: {
+      token,
+      depositedAmount: formatTokenAmount(currentStatus?.depositedAmount || 0n, token),
+      currentBalance: formatTokenAmount(currentStatus?.depositedAmount || 0n, token),
+      storageRunway: calculateStorageRunway(currentStatus),
+      depositedThisRun: formatTokenAmount(deposited, token),
+      ...(withdrawal && !dryRun ? { withdrawnThisRun: formatTokenAmount(withdrawn, token) } : {}),
+    },
+  })
+
+  // Deposits count against maxMonthlySpend, so they go into the ledger like an upload's, withdrawals alongside
+  if ((deposited > 0n || (withdrawn > 0n && !dryRun)) && inputs.ledger !== 'off') {
+    await appendToLedger(toLedgerEntry(ctx, deposited), {
+      storage: inputs.ledger,
+      branch: inputs.ledgerBranch,
+      retentionDays: inputs.artifactRetentionDays,
+    })
+  }
+
+  const alerts = hasBalanceAlerts(inputs) ? await checkBalances(synapse, currentStatus, inputs) : []
+  if (inputs.alertIssue && hasBalanceAlerts(inputs)) await reportAlertIssue(synapse, alerts, network)
+
+  await writeOutputs({
+    upload_status: uploadStatus,
+    deposited: formatTokenAmount(deposited, token),
+    withdrawn: formatTokenAmount(dryRun ? 0n : withdrawn, token),
+    runway_alert: String(alerts.length > 0),
+  })
+
+  console.log(`Deposited: ${formatTokenValue(deposited, token)}`)
+  console.log(`Storage runway: ${calculateStorageRunway(currentStatus)}`)
+  console.log(
+    `::notice::Maintenance complete. ${dryRun ? 'Dry run, nothing was deposited.' : getStatusLabel(uploadStatus)}`
+  )
+
+  await writeSummary(ctx, getStatusLabel(uploadStatus))
+  if (alerts.length > 0) await appendSummary(getAlertSummary(alerts))
+
+  await cleanupSynapse()
+}
@@ -0,0 +1,121 @@
+import { promises as fs } from 'node:fs'
+import { join } from 'node:path'
+import { getContextDir } from './context.js'
+import { getErrorMessage } from './errors.js'
+import { writeOutputs } from './outputs.js'
+
+// Import types for JSDoc
+/**
+ * @typedef {import('./types.js').CombinedContext} CombinedContext
+ * @typedef {import('./types.js').RunManifest} RunManifest
+ */
+
+/**
+ * Version of the manifest.json schema, bumped when a field is removed or changes meaning
+ */
+export const MANIFEST_SCHEMA_VERSION = 1
+
+/**
+ * Path of manifest.json, next to the context file
+ * @returns {string} Manifest file path
+ */
+export function getManifestPath() {
+  return join(getContextDir(), 'manifest.json')
+}
+
+/**
+ * Describe the run for later jobs: build, upload, provider, payment, and PR details from the context, with a stable
+ * shape (sections that do not apply are null)
+ * @param {Partial<CombinedContext>} ctx - Context of the run
+ * @param {unknown} [error] - Error the run failed with
+ * @returns {RunManifest} Manifest
+ */
+export function toRunManifest(ctx, error) {
+  const provider = ctx.provider?.id || ctx.provider?.name ? ctx.provider : undefined
+  const paymentStatus = ctx.payment_status
+
+  return {
+    schema_version: MANIFEST_SCHEMA_VERSION,
+    generated_at: new Date().toISOString(),
+    status: error ? 'failed' : ctx.upload_status || '',
+    mode: ctx.mode || '',
+    network: ctx.network || '',
+    run: {
+      id: ctx.run_id || '',
+      repository: ctx.repository || '',
+      event_name: ctx.event_name || '',
+      build_run_id: ctx.build_run_id || '',
+      handoff_run_id: ctx.handoff_run_id || '',
+    },
+    pr: ctx.pr?.number
+      ? { number: ctx.pr.number, sha: ctx.pr.sha || '', title: ctx.pr.title || '', author: ctx.pr.author || '' }
+      : null,
+    build: ctx.ipfs_root_cid
+      ? {
+          ipfs_root_cid: ctx.ipfs_root_cid,
+          content_path: ctx.content_path || '',
+          car_path: ctx.car_path || '',
+          car_size: ctx.car_size ?? null,
+          unixfs_layout: ctx.unixfs_layout ?? null,
+          artifact_name: ctx.artifact_name || '',
+          car_download_url: ctx.car_download_url || '',
+        }
+      : null,
+    upload: ctx.piece_cid
+      ? {
+          piece_cid: ctx.piece_cid,
+          piece_id: ctx.piece_id || '',
+          data_set_id: ctx.data_set_id || '',
+          preview_url: ctx.preview_url || '',
+          piece_count: ctx.piece_manifest?.pieces.length || 1,
+          provider_uploads: ctx.uploads || [],
+          verification_status: ctx.retrieval_verification?.status || 'skipped',
+        }
+      : null,
+    provider: provider ? { id: provider.id || '', name: provider.name || '' } : null,
+    payment: paymentStatus
+      ? {
+          token: paymentStatus.token || 'USDFC',
+          current_balance: paymentStatus.currentBalance || '',
+          deposited_this_run: paymentStatus.depositedThisRun || '0',
+          withdrawn_this_run: paymentStatus.withdrawnThisRun || '0',
+          storage_runway: paymentStatus.storageRunway || '',
+        }
+      : null,
+    cost_estimate: ctx.cost_estimate ?? null,
+    targets: (ctx.targets || []).map((target) => ({
+      name: target.name,
+      status: target.upload_status || '',
+      ipfs_root_cid: target.ipfs_root_cid || '',
+      content_path: target.content_path || '',
+      car_path: target.car_path || '',
+      car_size: target.car_size ?? null,
+      piece_cid: target.piece_cid || '',
+      data_set_id: target.data_set_id || '',
+      provider: target.provider?.id ? { id: target.provider.id, name: target.provider.name || '' } : null,
+      preview_url: target.preview_url || '',
+      artifact_name: target.artifact_name || '',
+    })),
+    error: error
+      ? {
+          message: getErrorMessage(error),
+          code: /** @type {{ code?: string }} */ (error).code || '',
+        }
+      : null,
+  }
+}
+
+/**
+ * Write manifest.json and the `manifest_path` and `manifest` (the same JSON, on one line) outputs
+ * @param {Partial<CombinedContext>} ctx - Context of the run
+ * @param {unknown} [error] - Error the run failed with
+ * @returns {Promise<string>} Manifest file path
+ */
+export async function writeRunManifest(ctx, error) {
+  const manifest = toRunManifest(ctx, error)
+  const manifestPath = getManifestPath()
+  await fs.mkdir(getContextDir(), { recursive: true })
+  await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2))
+  await writeOutputs({ manifest_path: manifestPath, manifest: JSON.stringify(manifest) })
+  return manifestPath
+}
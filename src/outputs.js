@@ -4,6 +4,12 @@ import { getErrorMessage } from './errors.js'
 // Import types for JSDoc
 /**
  * @typedef {import('./types.js').CombinedContext} CombinedContext
+ * @typedef {import('./types.js').RemovedPiece} RemovedPiece
+ * @typedef {import('./types.js').TerminatedDataSet} TerminatedDataSet
+ * @typedef {import('./types.js').LedgerEntry} LedgerEntry
+ * @typedef {import('./types.js').BalanceAlert} BalanceAlert
+ * @typedef {import('./types.js').InspectResult} InspectResult
+ * @typedef {import('./types.js').UnixFsLayout} UnixFsLayout
  */
 
 /**
@@ -19,6 +25,70 @@ export function formatSize(size) {
   return `${(size / (1024 * 1024 * 1024)).toFixed(1)} GB`
 }
 
+/**
+ * Describe a UnixFS layout for logs and the step summary
+ * @param {UnixFsLayout} layout - UnixFS layout
+ * @returns {string} e.g. "1.0 MB chunks, raw leaves, CIDv1, sha2-256, HAMT sharding above 256.0 KB"
+ */
+export function formatUnixFsLayout(layout) {
+  return [
+    `${formatSize(layout.chunk_size)} chunks`,
+    layout.raw_leaves ? 'raw leaves' : 'UnixFS leaves',
+    `CIDv${layout.cid_version}`,
+    layout.hash_function,
+    `HAMT sharding above ${formatSize(layout.shard_split_threshold)}`,
+  ].join(', ')
+}
+
+/**
+ * Explorer link of a data set
+ * @param {string} network - Network name
+ * @param {string | number} dataSetId - Data set ID
+ * @returns {string} pdp.vxb.ai URL
+ */
+export function getDataSetUrl(network, dataSetId) {
+  return `https://pdp.vxb.ai/${network || 'mainnet'}/proofsets/${dataSetId}`
+}
+
+/**
+ * Explorer link of a storage provider
+ * @param {string} network - Network name
+ * @param {string | number | undefined} providerId - Provider ID
+ * @returns {string} pdp.vxb.ai URL
+ */
+export function getProviderUrl(network, providerId) {
+  return `https://pdp.vxb.ai/${network || 'mainnet'}/providers/${providerId ?? ''}`
+}
+
+/**
+ * Human-readable labels for upload_status values
+ * @type {Record<string, string>}
+ */
+const STATUS_LABELS = {
+  uploaded: 'Uploaded',
+  unverified: 'Uploaded, retrieval not verified',
+  partial: 'Uploaded to some providers',
+  'reused-cache': 'Reused previous upload (cache)',
+  'reused-artifact': 'Reused previous upload (artifact)',
+  built: 'Built, awaiting upload job',
+  'fork-pr-pending': 'Fork PR built, awaiting trusted upload',
+  'fork-pr-blocked': 'Fork PR blocked',
+  'dry-run': 'Dry run, nothing deposited or uploaded',
+  'cleaned-up': 'Pull request pieces removed',
+  'topped-up': 'Filecoin Pay balance maintained, nothing uploaded',
+  inspected: 'Inspected, nothing uploaded',
+}
+
+/**
+ * Get the summary label for an upload status
+ * @param {string | undefined} uploadStatus - upload_status value
+ * @returns {string} Label shown in the summary and PR comment
+ */
+export function getStatusLabel(uploadStatus) {
+  if (!uploadStatus) return 'Unknown'
+  return STATUS_LABELS[uploadStatus] || uploadStatus
+}
+
 /**
  * Write output to GitHub Actions output file
  * @param {string} name - Output name
@@ -46,6 +116,14 @@ export async function writeOutputs(outputs) {
  * @param {string} status - Upload status
  */
 export async function writeSummary(context, status) {
+  await appendSummary(getOutputSummary(context, status))
+}
+
+/**
+ * Append markdown to the step summary
+ * @param {string} markdown - Summary markdown
+ */
+export async function appendSummary(markdown) {
   try {
     const summaryFile = process.env.GITHUB_STEP_SUMMARY
     if (!summaryFile) {
@@ -53,7 +131,7 @@ export async function writeSummary(context, status) {
       return
     }
 
-    await fs.appendFile(summaryFile, `\n${getOutputSummary(context, status)}\n`)
+    await fs.appendFile(summaryFile, `\n${markdown}\n`)
   } catch (error) {
     console.error('Failed to write summary:', getErrorMessage(error))
   }
@@ -72,32 +150,254 @@ export function getOutputSummary(context, status) {
   const pieceCid = context?.piece_cid || ''
   const provider = context?.provider || {}
   const previewURL = context?.preview_url || ''
-  const carPath = context?.car_path || ''
   const carSize = context?.car_size
-  const carDownloadUrl = context?.car_download_url || (carPath ? `[download link](${carPath})` : 'download')
+  const carDownloadUrl = context?.car_download_url
+    ? `[${context.artifact_name || 'download link'}](${context.car_download_url})`
+    : 'Not published as an artifact'
   const paymentStatus = context?.payment_status || {}
+  const token = paymentStatus.token || 'USDFC'
+  const costEstimate = context?.cost_estimate
+  const uploads = context?.uploads || []
+  const failoverLines = uploads.flatMap((upload) =>
+    (upload.skipped || []).length > 0
+      ? [
+          `* Provider failover: ${(upload.skipped || []).map((s) => `skipped ${s.provider_address} (${s.reason})`).join(', ')}; ${upload.status === 'uploaded' ? `used ${upload.provider_name || upload.provider_address}` : 'no provider left'}`,
+        ]
+      : []
+  )
+  const manifestPieces = context?.piece_manifest?.pieces || []
+  const pieceLines =
+    manifestPieces.length > 1
+      ? [
+          `* Pieces: ${manifestPieces.length} (CAR split to fit the providers' max piece size): ${manifestPieces.map((piece) => piece.piece_cid).join(', ')}`,
+        ]
+      : []
+  const reusedLines = uploads.some((upload) => upload.reused)
+    ? [
+        `* Already stored by: ${uploads
+          .filter((upload) => upload.reused)
+          .map((upload) => upload.provider_name || upload.provider_address)
+          .join(', ')} (piece found in the data set, nothing was uploaded again)`,
+      ]
+    : []
+  const providerLines =
+    uploads.length > 1
+      ? [
+          '**Providers:**',
+          '',
+          '| Provider | Status | Data Set ID | Piece CID | Download |',
+          '| --- | --- | --- | --- | --- |',
+          ...uploads.map((upload) =>
+            upload.status === 'uploaded'
+              ? `| ${upload.provider_name || upload.provider_address} (ID ${upload.provider_id || 'Unknown'}) | ✅ ${upload.reused ? 'already stored' : 'uploaded'} | ${upload.data_set_id} | ${upload.piece_cid} | ${upload.preview_url ? `[piece](${upload.preview_url})` : ''} |`
+              : `| ${upload.provider_address || 'auto'} | ❌ ${upload.error || 'failed'} | | | |`
+          ),
+          '',
+        ]
+      : []
+  const retrieval = context?.retrieval_verification
+  const retrievalLines = retrieval
+    ? [
+        `* Retrieval check: ${retrieval.status} (provider: ${retrieval.provider}, gateway: ${retrieval.gateway})${retrieval.reason ? ` - ${retrieval.reason}` : ''}`,
+      ]
+    : []
 
-  return [
-    '## Filecoin Pin Upload',
+  const estimateLines = costEstimate
+    ? [
+        '**Cost estimate (dry run):**',
+        `* Deposit this run would make: ${costEstimate.estimatedDeposit} ${token}`,
+        `* Deposit needed for minStorageDays: ${costEstimate.requiredDeposit} ${token}${costEstimate.depositClamped ? ' (reduced by filecoinPayBalanceLimit)' : ''}`,
+        `* Projected Filecoin Pay balance: ${costEstimate.projectedBalance} ${token}`,
+        `* Estimated storage cost of this upload: ${costEstimate.monthlyCost} ${token}/month`,
+        `* Projected runway after this upload: ${costEstimate.projectedRunway}`,
+        `* Missing deposit for the upload to pass payment validation: ${costEstimate.uploadShortfall} ${token}`,
+        '',
+      ]
+    : []
+
+  const targets = context?.targets || []
+  const targetLines = [
+    '**Targets:**',
     '',
-    '**IPFS Artifacts:**',
-    `* IPFS Root CID: ${ipfsRootCid}`,
-    `* IPFS HTTP Gateway Preview: ${ipfsRootCid ? `https://dweb.link/ipfs/${ipfsRootCid}` : 'IPFS Root CID unavailable'}`,
-    `* Status: ${status}`,
-    `* Generated CAR on GitHub: ${carDownloadUrl}`,
-    `* CAR file size: ${formatSize(carSize)}`,
+    '| Target | IPFS Root CID | Status | CAR size | Data Set ID | Piece CID | Provider | Download |',
+    '| --- | --- | --- | --- | --- | --- | --- | --- |',
+    ...targets.map(
+      (target) =>
+        `| ${target.name} | [${target.ipfs_root_cid}](https://dweb.link/ipfs/${target.ipfs_root_cid}) | ${getStatusLabel(target.upload_status)} | ${formatSize(target.car_size)} | ${target.data_set_id ? `[${target.data_set_id}](${getDataSetUrl(network, target.data_set_id)})` : ''} | ${target.piece_cid || ''} | ${target.provider?.name || target.provider?.id || ''} | ${target.preview_url ? `[piece](${target.preview_url})` : ''} |`
+    ),
     '',
-    '**Onchain verification:**',
+    `* Status: ${status}`,
     `* Network: ${network}`,
-    `* Data Set ID: [${dataSetId}](https://pdp.vxb.ai/${network || 'mainnet'}/proofsets/${dataSetId})`,
-    `* Piece CID: [${pieceCid}](https://pdp.vxb.ai/${network || 'mainnet'}/proofsets/${dataSetId})`,
-    `* Provider: [${provider?.name || 'Unknown'} (ID ${provider?.id || 'Unknown'})](https://pdp.vxb.ai/${network || 'mainnet'}/providers/${provider?.id || ''})`,
-    `* Piece download direct from provider: ${previewURL}`,
     '',
+  ]
+
+  // Maintenance runs have no content, only the payment section applies
+  let uploadLines = ipfsRootCid
+    ? [
+        '**IPFS Artifacts:**',
+        `* IPFS Root CID: ${ipfsRootCid}`,
+        `* IPFS HTTP Gateway Preview: https://dweb.link/ipfs/${ipfsRootCid}`,
+        `* Status: ${status}`,
+        `* Generated CAR on GitHub: ${carDownloadUrl}`,
+        `* CAR file size: ${formatSize(carSize)}`,
+        ...(context?.unixfs_layout ? [`* UnixFS layout: ${formatUnixFsLayout(context.unixfs_layout)}`] : []),
+        '',
+        '**Onchain verification:**',
+        `* Network: ${network}`,
+        `* Data Set ID: [${dataSetId}](${getDataSetUrl(network, dataSetId)})`,
+        `* Piece CID: [${pieceCid}](${getDataSetUrl(network, dataSetId)})`,
+        `* Provider: [${provider?.name || 'Unknown'} (ID ${provider?.id || 'Unknown'})](${getProviderUrl(network, provider?.id || '')})`,
+        `* Piece download direct from provider: ${previewURL}`,
+        ...pieceLines,
+        ...retrievalLines,
+        ...failoverLines,
+        ...reusedLines,
+        '',
+      ]
+    : [`* Status: ${status}`, `* Network: ${network}`, '']
+  if (targets.length > 0) uploadLines = targetLines
+
+  return [
+    '## Filecoin Pin Upload',
+    '',
+    ...uploadLines,
+    ...providerLines,
     '**Payment:**',
-    `* Current Filecoin Pay balance: ${paymentStatus.currentBalance || 'Unknown'} USDFC`,
-    `* Amount deposited to Filecoin Pay by this workflow: ${paymentStatus.depositedThisRun || '0'} USDFC`,
+    `* Current Filecoin Pay balance: ${paymentStatus.currentBalance || 'Unknown'} ${token}`,
+    `* Amount deposited to Filecoin Pay by this workflow: ${paymentStatus.depositedThisRun || '0'} ${token}`,
+    ...(paymentStatus.withdrawnThisRun
+      ? [
+          `* Amount withdrawn from Filecoin Pay to the wallet by this workflow: ${paymentStatus.withdrawnThisRun} ${token}`,
+        ]
+      : []),
     `* Data Set Storage runway (assuming all Filecoin Pay balance is used exclusively for this data set): ${paymentStatus.storageRunway || 'Unknown'}`,
     '',
+    ...estimateLines,
+  ].join('\n')
+}
+
+/**
+ * Build the step summary of a cleanup run
+ * @param {RemovedPiece[]} removed - Outcome per piece
+ * @param {TerminatedDataSet[]} terminated - Outcome per closed pull request data set
+ * @param {boolean} dryRun - Pieces were only listed, not removed
+ * @returns {string} Summary markdown
+ */
+export function getCleanupSummary(removed, terminated, dryRun) {
+  const terminatedLines =
+    terminated.length > 0
+      ? [
+          '',
+          dryRun
+            ? '**Dry run:** these data sets would be terminated.'
+            : '**Data sets terminated** (their payment rails end):',
+          '',
+          '| Data Set ID | Pull Request | Result |',
+          '| --- | --- | --- |',
+          ...terminated.map(
+            (dataSet) =>
+              `| ${dataSet.data_set_id} | #${dataSet.pull_request} | ${dataSet.error ? `❌ ${dataSet.error}` : dataSet.tx_hash || (dryRun ? 'not terminated' : '✅')} |`
+          ),
+        ]
+      : []
+  if (removed.length === 0) {
+    return ['## Filecoin Pin Cleanup', '', 'No pull request pieces to remove.', ...terminatedLines].join('\n')
+  }
+
+  return [
+    '## Filecoin Pin Cleanup',
+    '',
+    dryRun
+      ? '**Dry run:** these pieces would be removed.'
+      : '**Removals scheduled** (effective at the next proving period):',
+    '',
+    '| Data Set ID | Piece ID | Piece CID | Reason | Result |',
+    '| --- | --- | --- | --- | --- |',
+    ...removed.map(
+      (piece) =>
+        `| ${piece.data_set_id} | ${piece.piece_id} | ${piece.piece_cid} | ${piece.reason} | ${piece.error ? `❌ ${piece.error}` : piece.tx_hash || (dryRun ? 'not removed' : '✅')} |`
+    ),
+    ...terminatedLines,
+  ].join('\n')
+}
+
+/**
+ * Build the step summary section of the upload ledger
+ * @param {LedgerEntry[]} recent - Latest ledger entries, oldest first
+ * @param {{ count: number, totalDeposited: string, token: string }} totals - Number of entries in the ledger, and their
+ *   deposits in the run's payment token
+ * @returns {string} Summary markdown
+ */
+export function getLedgerSummary(recent, totals) {
+  return [
+    '## Filecoin Pin Ledger',
+    '',
+    `* Uploads recorded: ${totals.count}`,
+    `* Total deposited to Filecoin Pay by these uploads: ${totals.totalDeposited} ${totals.token}`,
+    '',
+    ...(recent.length > 0
+      ? [
+          `**Last ${recent.length} uploads:**`,
+          '',
+          '| Uploaded | IPFS Root CID | Piece CID | Data Set ID | Provider | Deposited | Commit | PR |',
+          '| --- | --- | --- | --- | --- | --- | --- | --- |',
+          ...[...recent]
+            .reverse()
+            .map(
+              (entry) =>
+                `| ${entry.uploaded_at} | ${entry.ipfs_root_cid || 'top-up'} | ${entry.piece_cid} | ${entry.data_set_id} | ${entry.provider_name || entry.provider_id} | ${entry.deposited} ${entry.token || 'USDFC'} | ${entry.commit_sha.slice(0, 7)} | ${entry.pr_number ? `#${entry.pr_number}` : ''} |`
+            ),
+        ]
+      : []),
+  ].join('\n')
+}
+
+/**
+ * Build the step summary section listing crossed balance alert thresholds
+ * @param {BalanceAlert[]} alerts - Crossed thresholds
+ * @returns {string} Summary markdown
+ */
+export function getAlertSummary(alerts) {
+  return ['## ⚠️ Filecoin Balance Alerts', '', ...alerts.map((alert) => `* ${alert.message}`)].join('\n')
+}
+
+/**
+ * Build the step summary of an inspect run
+ * @param {InspectResult} result - Inspect result
+ * @returns {string} Summary markdown
+ */
+export function getInspectSummary(result) {
+  const { network } = result
+  const lines = [
+    '## Filecoin Pin Inspect',
+    '',
+    `* Target: ${result.target} (${result.target_type})`,
+    `* Network: ${network}`,
+    `* Stored: ${result.stored ? '✅ yes, in a live data set with an active payment rail' : '❌ not in any live, paid data set of this wallet'}`,
+    '',
+  ]
+  if (result.data_sets.length === 0) return lines.join('\n')
+
+  return [
+    ...lines,
+    '| Data Set ID | Provider | Proving | Last Proven | Next Proof Due | Pieces | Payment Rail |',
+    '| --- | --- | --- | --- | --- | --- | --- |',
+    ...result.data_sets.map(
+      (dataSet) =>
+        `| [${dataSet.data_set_id}](${getDataSetUrl(network, dataSet.data_set_id)}) | [${dataSet.provider_name || 'Unknown'} (ID ${dataSet.provider_id})](${getProviderUrl(network, dataSet.provider_id)}) | ${dataSet.proving} | ${dataSet.last_proven || ''} | ${dataSet.next_proof_due || ''} | ${result.target_type === 'data-set' ? dataSet.piece_count : dataSet.pieces.length} | ${dataSet.rail.monthly_rate} ${dataSet.rail.token}/month${dataSet.rail.end_epoch === '0' ? '' : `, ends at epoch ${dataSet.rail.end_epoch}`} |`
+    ),
+    '',
+    ...(result.target_type === 'data-set'
+      ? []
+      : [
+          '**Matching pieces:**',
+          '',
+          ...result.data_sets.flatMap((dataSet) =>
+            dataSet.pieces.map(
+              (piece) =>
+                `* Data set ${dataSet.data_set_id}, piece ${piece.piece_id}: ${piece.piece_cid}${piece.ipfs_root_cid ? ` (root ${piece.ipfs_root_cid})` : ''} - [download](${piece.preview_url})`
+            )
+          ),
+        ]),
   ].join('\n')
 }
@@ -0,0 +1,342 @@
+import { METADATA_KEYS, SIZE_CONSTANTS } from '@filoz/synapse-sdk'
+import { ERROR_CODES, FilecoinPinError, getErrorMessage } from './errors.js'
+import { uploadCarToFilecoin } from './filecoin.js'
+
+// Import types for JSDoc
+/**
+ * @typedef {import('./types.js').ParsedInputs} ParsedInputs
+ * @typedef {import('./types.js').UploadResult} UploadResult
+ * @typedef {import('./types.js').CarUpload} CarUpload
+ * @typedef {import('./types.js').ProviderUpload} ProviderUpload
+ * @typedef {import('./types.js').PieceManifest} PieceManifest
+ * @typedef {import('./types.js').SkippedProvider} SkippedProvider
+ * @typedef {import('./types.js').OrphanedPiece} OrphanedPiece
+ * @typedef {import('@filoz/synapse-sdk').ProviderInfo} ProviderInfo
+ */
+
+/**
+ * @typedef {Object} UploadTargetOptions
+ * @property {boolean} withCDN - Store with CDN
+ * @property {number} attempts - Attempts per provider for transient failures
+ * @property {Record<string, string>} dataSetMetadata - Metadata of the data set to upload into
+ * @property {Record<string, string>} pieceMetadata - Metadata of each piece
+ */
+
+/**
+ * @typedef {Object} ProviderAttempt
+ * @property {string} requestedAddress - Provider originally asked for ('' lets filecoin-pin choose)
+ * @property {string} providerAddress - Provider that ended up with the upload, or the last one tried
+ * @property {SkippedProvider[]} skipped - Unavailable providers given up on before providerAddress
+ * @property {UploadResult} [result] - Upload result, when it succeeded
+ * @property {string} [error] - Failure reason, when it failed
+ * @property {string} [code] - ERROR_CODES value of the failure
+ * @property {OrphanedPiece[]} [orphanedPieces] - Pieces the failed provider stored before it failed
+ */
+
+/**
+ * Decide which providers to store the CAR with
+ * @param {any} synapse - Synapse service
+ * @param {ParsedInputs} inputs - Parsed inputs
+ * @returns {Promise<string[]>} Provider addresses, in upload order
+ */
+export async function resolveProviderAddresses(synapse, inputs) {
+  const { providerAddress, providerAddresses, providerCount } = inputs
+
+  if (providerAddresses.length > 0) return providerAddresses
+  if (providerCount <= 1) return [providerAddress]
+
+  // Fill up to providerCount with other approved providers, keeping providerAddress first
+  /** @type {{ providers: Array<{ serviceProvider: string, active?: boolean }> }} */
+  const { providers } = await synapse.getStorageInfo()
+  const others = providers
+    .filter((provider) => provider.active !== false && provider.serviceProvider)
+    .map((provider) => provider.serviceProvider)
+    .filter((address) => address.toLowerCase() !== providerAddress.toLowerCase())
+
+  const addresses = [providerAddress, ...others].filter(Boolean).slice(0, providerCount)
+  if (addresses.length < providerCount) {
+    console.log(`::warning::Only ${addresses.length} approved providers available, wanted ${providerCount}`)
+  }
+  return addresses
+}
+
+/**
+ * Largest CAR piece every target provider accepts
+ * @param {any} synapse - Synapse service
+ * @param {string[]} providerAddresses - Providers the CAR will be uploaded to ('' lets filecoin-pin choose)
+ * @returns {Promise<number>} Maximum piece size in bytes, before padding
+ */
+export async function getMaxPieceSize(synapse, providerAddresses) {
+  let maxPieceSize = SIZE_CONSTANTS.MAX_UPLOAD_SIZE
+  const targets = new Set(providerAddresses.filter(Boolean).map((address) => address.toLowerCase()))
+  if (targets.size === 0) return maxPieceSize
+
+  /** @type {{ providers: ProviderInfo[] }} */
+  const { providers } = await synapse.getStorageInfo()
+  for (const provider of providers) {
+    const limit = provider.products?.PDP?.data?.maxPieceSizeInBytes
+    if (limit && targets.has(provider.serviceProvider.toLowerCase())) {
+      // The provider limit applies to the padded piece, which is 128/127 of the data
+      maxPieceSize = Math.min(maxPieceSize, Number((BigInt(limit) * 127n) / 128n))
+    }
+  }
+  return maxPieceSize
+}
+
+/**
+ * Upload every piece of a CAR to one provider, into the same data set. When a piece fails after others were stored,
+ * the error's `details.orphanedPieces` lists the stored ones: another provider has to take the whole CAR, as a
+ * provider missing some of its pieces cannot serve the DAG.
+ * @param {any} synapse - Synapse service
+ * @param {CarUpload[]} pieces - CAR pieces (see prepareCarUpload)
+ * @param {string} ipfsRootCid - Root CID
+ * @param {UploadTargetOptions & { providerAddress: string }} options - Upload options
+ * @param {any} logger - Logger instance
+ * @returns {Promise<UploadResult>} Result of the first piece, listing all pieces when there are several
+ */
+async function uploadPieces(synapse, pieces, ipfsRootCid, options, logger) {
+  /** @type {UploadResult[]} */
+  const results = []
+  for (const [index, piece] of pieces.entries()) {
+    if (pieces.length > 1) console.log(`Uploading piece ${index + 1}/${pieces.length} (${piece.carSize} bytes)`)
+    try {
+      results.push(await uploadCarToFilecoin(synapse, piece, ipfsRootCid, options, logger))
+    } catch (error) {
+      // Pieces an earlier run stored are not this run's to remove
+      const orphanedPieces = results
+        .filter((result) => !result.reused)
+        .map(({ dataSetId, pieceId, pieceCid }) => ({ data_set_id: dataSetId, piece_id: pieceId, piece_cid: pieceCid }))
+      if (orphanedPieces.length === 0) throw error
+      throw new FilecoinPinError(
+        getErrorMessage(error),
+        error instanceof FilecoinPinError ? error.code : ERROR_CODES.UPLOAD_FAILED,
+        { orphanedPieces }
+      )
+    }
+  }
+
+  const [first] = /** @type {[UploadResult, ...UploadResult[]]} */ (results)
+  if (results.length === 1) return first
+
+  return {
+    ...first,
+    reused: results.every((result) => result.reused === true),
+    pieces: results.map(({ pieceCid, pieceId, dataSetId, previewURL }) => ({
+      pieceCid,
+      pieceId,
+      dataSetId,
+      previewURL,
+    })),
+  }
+}
+
+/**
+ * Why an approved provider cannot take this upload, if it cannot
+ * @param {ProviderInfo} provider - Approved provider from the registry
+ * @param {{ withCDN: boolean, carSize: number }} requirements - What the upload needs
+ * @returns {string | undefined} Reason to skip the provider
+ */
+function getIncompatibility(provider, requirements) {
+  const pdp = provider.products?.PDP
+  if (!provider.active || !pdp?.isActive) return 'inactive'
+  if (requirements.withCDN && !(METADATA_KEYS.WITH_CDN in (pdp.capabilities || {}))) return 'no CDN support'
+
+  const size = BigInt(requirements.carSize)
+  if (pdp.data && (size < pdp.data.minPieceSizeInBytes || size > pdp.data.maxPieceSizeInBytes)) {
+    return 'piece size not accepted'
+  }
+  return undefined
+}
+
+/**
+ * List providers that can take over an upload when the requested one is unavailable
+ * @param {any} synapse - Synapse service
+ * @param {ParsedInputs} inputs - Parsed inputs
+ * @param {number} carSize - CAR size in bytes
+ * @returns {Promise<string[]>} Provider addresses, in fallback order
+ */
+export async function listFallbackProviders(synapse, inputs, carSize) {
+  const { withCDN, fallbackProviders, fallbackOrder } = inputs
+
+  // An explicit list is used as-is, in the given order
+  if (fallbackProviders.length > 0) return fallbackProviders
+
+  /** @type {{ providers: ProviderInfo[] }} */
+  const { providers } = await synapse.getStorageInfo()
+  const candidates = providers.filter((provider) => {
+    const reason = getIncompatibility(provider, { withCDN, carSize })
+    if (reason) console.log(`Skipping provider ${provider.name || provider.serviceProvider} for failover: ${reason}`)
+    return !reason
+  })
+
+  if (fallbackOrder === 'price') {
+    const price = (/** @type {ProviderInfo} */ provider) =>
+      provider.products.PDP?.data.storagePricePerTibPerMonth ?? BigInt(Number.MAX_SAFE_INTEGER)
+    candidates.sort((a, b) => (price(a) < price(b) ? -1 : price(a) > price(b) ? 1 : 0))
+  } else if (fallbackOrder === 'random') {
+    const keys = new Map(candidates.map((provider) => [provider, Math.random()]))
+    candidates.sort((a, b) => (keys.get(a) ?? 0) - (keys.get(b) ?? 0))
+  }
+
+  return candidates.map((provider) => provider.serviceProvider)
+}
+
+/**
+ * Upload the same CAR to each provider through its own storage context.
+ * A provider that is unavailable is replaced by the next fallback provider not used by any other target.
+ * @param {any} synapse - Synapse service
+ * @param {CarUpload[]} pieces - CAR pieces to upload (see prepareCarUpload)
+ * @param {string} ipfsRootCid - Root CID
+ * @param {string[]} providerAddresses - Providers to upload to
+ * @param {UploadTargetOptions & { getFallbacks?: (() => Promise<string[]>) | undefined }} options - Upload options, getFallbacks enables failover
+ * @param {any} logger - Logger instance
+ * @returns {Promise<ProviderAttempt[]>} One attempt per requested provider, in order
+ */
+export async function uploadToProviders(synapse, pieces, ipfsRootCid, providerAddresses, options, logger) {
+  const { getFallbacks, ...targetOptions } = options
+  const used = new Set(providerAddresses.filter(Boolean).map((address) => address.toLowerCase()))
+
+  /** @type {ProviderAttempt[]} */
+  const attempts = []
+  for (const [index, requestedAddress] of providerAddresses.entries()) {
+    if (providerAddresses.length > 1) {
+      console.log(`Uploading to provider ${index + 1}/${providerAddresses.length}: ${requestedAddress || 'auto'}`)
+    }
+
+    /** @type {SkippedProvider[]} */
+    const skipped = []
+    let providerAddress = requestedAddress
+    for (;;) {
+      try {
+        const result = await uploadPieces(synapse, pieces, ipfsRootCid, { ...targetOptions, providerAddress }, logger)
+        attempts.push({ requestedAddress, providerAddress, skipped, result })
+        break
+      } catch (error) {
+        let reason = getErrorMessage(error)
+        const code = error instanceof FilecoinPinError ? error.code : ERROR_CODES.UPLOAD_FAILED
+        /** @type {OrphanedPiece[]} */
+        const orphanedPieces =
+          error instanceof FilecoinPinError ? /** @type {any} */ (error.details).orphanedPieces || [] : []
+        if (orphanedPieces.length > 0) {
+          console.log(
+            `::warning::Provider ${providerAddress || 'auto'} kept ${orphanedPieces.length} of ${pieces.length} pieces, \`mode: cleanup\` removes them`
+          )
+        }
+        const orphaned = orphanedPieces.length > 0 ? { orphanedPieces } : {}
+        const unavailable = code === ERROR_CODES.PROVIDER_UNAVAILABLE
+        const next =
+          unavailable && getFallbacks ? (await getFallbacks()).find((a) => !used.has(a.toLowerCase())) : undefined
+
+        if (!next) {
+          if (unavailable && getFallbacks) reason = `${reason} (no fallback provider left)`
+          console.log(`::warning::Upload to provider ${providerAddress || 'auto'} failed: ${reason}`)
+          attempts.push({ requestedAddress, providerAddress, skipped, error: reason, code, ...orphaned })
+          break
+        }
+
+        console.log(`::warning::${reason}. Falling back to provider ${next}`)
+        skipped.push({
+          provider_address: providerAddress || 'auto',
+          reason,
+          ...(orphanedPieces.length > 0 ? { orphaned_pieces: orphanedPieces } : {}),
+        })
+        used.add(next.toLowerCase())
+        providerAddress = next
+      }
+    }
+  }
+  return attempts
+}
+
+/**
+ * Apply the partial-success policy to the provider attempts
+ * @param {ProviderAttempt[]} attempts - Provider attempts
+ * @param {boolean} allowPartialUploads - Whether some failed providers are acceptable
+ * @returns {UploadResult[]} Successful uploads, first one is the primary upload
+ */
+export function requireProviderUploads(attempts, allowPartialUploads) {
+  const results = attempts.flatMap((attempt) => (attempt.result ? [attempt.result] : []))
+  const failed = attempts.filter((attempt) => !attempt.result)
+  const failures = failed.map((attempt) => `${attempt.providerAddress || 'auto'}: ${attempt.error}`).join('; ')
+
+  if (results.length === 0) {
+    // Keep PROVIDER_UNAVAILABLE when that is the only thing that went wrong
+    const code = failed.every((attempt) => attempt.code === ERROR_CODES.PROVIDER_UNAVAILABLE)
+      ? ERROR_CODES.PROVIDER_UNAVAILABLE
+      : ERROR_CODES.UPLOAD_FAILED
+    throw new FilecoinPinError(`Upload failed on every provider (${failures})`, code)
+  }
+  if (failed.length > 0 && !allowPartialUploads) {
+    throw new FilecoinPinError(
+      `Uploaded to ${results.length} of ${attempts.length} providers (${failures}). Set allowPartialUploads to accept this.`,
+      ERROR_CODES.UPLOAD_FAILED
+    )
+  }
+  return results
+}
+
+/**
+ * Convert provider attempts into the context/output shape
+ * @param {ProviderAttempt[]} attempts - Provider attempts
+ * @returns {ProviderUpload[]} Per-provider upload records
+ */
+export function toProviderUploads(attempts) {
+  return attempts.map(({ requestedAddress, providerAddress, skipped, result, error, orphanedPieces }) =>
+    result
+      ? {
+          provider_address: providerAddress,
+          requested_address: requestedAddress,
+          skipped,
+          status: 'uploaded',
+          provider_id: result.provider.id || '',
+          provider_name: result.provider.name || '',
+          piece_cid: result.pieceCid,
+          piece_id: result.pieceId,
+          data_set_id: result.dataSetId,
+          preview_url: result.previewURL,
+          ...(result.pieces
+            ? {
+                pieces: result.pieces.map((piece) => ({
+                  piece_cid: piece.pieceCid,
+                  piece_id: piece.pieceId,
+                  data_set_id: piece.dataSetId,
+                  preview_url: piece.previewURL,
+                })),
+              }
+            : {}),
+          ...(result.reused ? { reused: true } : {}),
+        }
+      : {
+          provider_address: providerAddress,
+          requested_address: requestedAddress,
+          skipped,
+          status: 'failed',
+          error: error || 'Unknown error',
+          ...(orphanedPieces ? { orphaned_pieces: orphanedPieces } : {}),
+        }
+  )
+}
+
+/**
+ * Map the root CID to the pieces holding its blocks and where each provider stored them
+ * @param {{ ipfsRootCid: string, network: string, carSize: number }} car - Root CID, network and size of the whole CAR
+ * @param {CarUpload[]} pieces - CAR pieces, in upload order
+ * @param {ProviderUpload[]} uploads - Per-provider results (see toProviderUploads)
+ * @returns {PieceManifest} Piece manifest
+ */
+export function toPieceManifest(car, pieces, uploads) {
+  return {
+    ipfs_root_cid: car.ipfsRootCid,
+    network: car.network,
+    car_size: car.carSize,
+    pieces: pieces.map((piece, index) => ({ index, piece_cid: piece.pieceCid, car_size: piece.carSize })),
+    providers: uploads
+      .filter((upload) => upload.status === 'uploaded')
+      .map((upload) => ({
+        provider_address: upload.provider_address,
+        provider_id: upload.provider_id || '',
+        data_set_id: upload.data_set_id || '',
+        piece_ids: upload.pieces ? upload.pieces.map((piece) => piece.piece_id) : [upload.piece_id || ''],
+      })),
+  }
+}
@@ -0,0 +1,52 @@
+import { getErrorMessage } from './errors.js'
+
+/**
+ * @typedef {Object} RetryOptions
+ * @property {number} [attempts] - Maximum number of attempts (default 3)
+ * @property {number} [initialDelayMs] - Delay before the second attempt, doubled after each failure (default 2000)
+ * @property {number} [maxDelayMs] - Upper bound for a single delay (default 30000)
+ * @property {number} [deadline] - Epoch ms after which no further attempt is started
+ * @property {string} [label] - Operation name used in log lines
+ * @property {(error: unknown) => boolean} [shouldRetry] - Return false to fail immediately
+ */
+
+/**
+ * Sleep for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Run an async operation, retrying failures with exponential backoff
+ * @template T
+ * @param {(attempt: number) => Promise<T>} operation - Operation to run, receives the 1-based attempt number
+ * @param {RetryOptions} [options] - Retry options
+ * @returns {Promise<T>} Result of the first successful attempt
+ */
+export async function withRetry(operation, options = {}) {
+  const {
+    attempts = 3,
+    initialDelayMs = 2000,
+    maxDelayMs = 30000,
+    deadline,
+    label = 'operation',
+    shouldRetry = () => true,
+  } = options
+
+  let delay = initialDelayMs
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt)
+    } catch (error) {
+      const outOfTime = deadline != null && Date.now() + delay >= deadline
+      if (attempt >= attempts || outOfTime || !shouldRetry(error)) throw error
+
+      console.log(
+        `${label} failed (attempt ${attempt}/${attempts}): ${getErrorMessage(error)}. Retrying in ${delay}ms ...`
+      )
+      await sleep(delay)
+      delay = Math.min(delay * 2, maxDelayMs)
+    }
+  }
+}
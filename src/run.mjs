@@ -1,10 +1,35 @@
 import { runBuild } from './build.js'
-import { mergeAndSaveContext } from './context.js'
+import { runCleanup } from './cleanup.js'
+import { getGlobalContext, loadContext, mergeAndSaveContext } from './context.js'
 import { getErrorMessage, handleError } from './errors.js'
 import { cleanupSynapse } from './filecoin.js'
+import { parseMode } from './inputs.js'
+import { runInspect } from './inspect.js'
+import { runMaintenance } from './maintenance.js'
+import { writeRunManifest } from './manifest.js'
 import { runUpload } from './upload.js'
 
+/**
+ * Phase to run in this process. action.yml runs `compute` and `upload` as separate steps so the
+ * upload cache can be restored by root CID in between; anything else runs both phases in one process.
+ */
+const phase = process.env.ACTION_PHASE || 'single'
+
+/**
+ * Modes that neither build nor upload a CAR. They run in the upload step only, which has the wallet.
+ * @type {Record<string, () => Promise<void>>}
+ */
+const STANDALONE_MODES = {
+  cleanup: runCleanup,
+  maintenance: runMaintenance,
+  inspect: runInspect,
+}
+
 async function main() {
+  if (phase === 'upload') {
+    await loadContext()
+  }
+
   await mergeAndSaveContext({
     event_name: process.env.GITHUB_EVENT_NAME || '',
     run_id: process.env.GITHUB_RUN_ID || '',
@@ -12,8 +37,13 @@ async function main() {
   })
 
   try {
-    await runBuild()
-    await runUpload()
+    const runStandalone = STANDALONE_MODES[parseMode()]
+    if (runStandalone) {
+      if (phase !== 'compute') await runStandalone()
+    } else {
+      if (phase !== 'upload') await runBuild()
+      if (phase !== 'compute') await runUpload()
+    }
   } catch (error) {
     try {
       await cleanupSynapse()
@@ -22,10 +52,19 @@ async function main() {
     }
     throw error
   }
+
+  // Each step rewrites the manifest, the upload step's output takes precedence in action.yml
+  await writeRunManifest(getGlobalContext())
 }
 
 main().catch(async (err) => {
   handleError(err)
+  // Failed runs get a manifest too, for `if: failure()` steps
+  try {
+    await writeRunManifest(getGlobalContext(), err)
+  } catch (e) {
+    console.error('Writing manifest.json failed:', getErrorMessage(e))
+  }
   try {
     await cleanupSynapse()
   } catch (e) {
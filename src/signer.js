@@ -0,0 +1,208 @@
+import { promises as fs } from 'node:fs'
+import { ethers } from 'ethers'
+import { resolveContentPath } from './inputs.js'
+
+// Import types for JSDoc
+/**
+ * @typedef {import('./types.js').ParsedInputs} ParsedInputs
+ * @typedef {{ url: string, authorization: string }} SignerEndpoint
+ */
+
+/**
+ * Time to wait for the remote signer to answer one request
+ */
+const SIGNER_TIMEOUT_MS = 60_000
+
+/**
+ * JSON-RPC methods answered by the remote signer instead of the chain's RPC endpoint
+ */
+const SIGNING_METHODS = new Set([
+  'eth_accounts',
+  'eth_sign',
+  'personal_sign',
+  'eth_signTransaction',
+  'eth_signTypedData_v4',
+])
+
+/**
+ * Call a JSON-RPC method of the remote signer
+ * @param {SignerEndpoint} endpoint - Signer URL and Authorization header
+ * @param {string} method - JSON-RPC method
+ * @param {any[]} params - Method parameters
+ * @returns {Promise<any>} Result
+ */
+async function callRemoteSigner(endpoint, method, params) {
+  const response = await fetch(endpoint.url, {
+    method: 'POST',
+    headers: {
+      'content-type': 'application/json',
+      ...(endpoint.authorization ? { authorization: endpoint.authorization } : {}),
+    },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+    signal: AbortSignal.timeout(SIGNER_TIMEOUT_MS),
+  })
+  if (!response.ok) {
+    throw new Error(`Remote signer ${method} failed: HTTP ${response.status}`)
+  }
+  const body = await response.json()
+  if (body.error) {
+    throw new Error(`Remote signer ${method} failed: ${body.error.message || JSON.stringify(body.error)}`)
+  }
+  return body.result
+}
+
+/**
+ * Chain RPC provider that forwards signing requests to the remote signer. Synapse signs some EIP-712 messages
+ * through `provider.send('eth_signTypedData_v4')` for signers that are not a local Wallet.
+ */
+class RemoteSigningProvider extends ethers.JsonRpcProvider {
+  /**
+   * @param {string} rpcUrl - Chain RPC endpoint (HTTP)
+   * @param {SignerEndpoint} endpoint - Remote signer
+   */
+  constructor(rpcUrl, endpoint) {
+    super(rpcUrl)
+    this.endpoint = endpoint
+  }
+
+  /**
+   * @param {string} method - JSON-RPC method
+   * @param {any[] | Record<string, any>} params - Method parameters
+   * @returns {Promise<any>} Result
+   */
+  async send(method, params) {
+    if (SIGNING_METHODS.has(method)) {
+      return await callRemoteSigner(this.endpoint, method, Array.isArray(params) ? params : [params])
+    }
+    return await super.send(method, params)
+  }
+}
+
+/**
+ * Signer whose key stays with a remote signing service (e.g. Web3Signer or Clef). Transactions are filled in
+ * locally, signed with `eth_signTransaction`, and broadcast through the chain's RPC endpoint.
+ */
+class RemoteSigner extends ethers.AbstractSigner {
+  /**
+   * @param {string} address - Account the remote signer signs for
+   * @param {SignerEndpoint} endpoint - Remote signer
+   * @param {ethers.Provider | null} provider - Chain provider
+   */
+  constructor(address, endpoint, provider) {
+    super(provider)
+    this.address = address
+    this.endpoint = endpoint
+  }
+
+  async getAddress() {
+    return this.address
+  }
+
+  /**
+   * @param {ethers.Provider | null} provider - Chain provider
+   * @returns {RemoteSigner} Signer connected to the provider
+   */
+  connect(provider) {
+    return new RemoteSigner(this.address, this.endpoint, provider)
+  }
+
+  /**
+   * @param {ethers.TransactionRequest} tx - Populated transaction
+   * @returns {Promise<string>} Serialized signed transaction
+   */
+  async signTransaction(tx) {
+    const to = tx.to == null ? null : await ethers.resolveAddress(tx.to, this.provider)
+    const { from: _from, ...request } = ethers.copyRequest(tx)
+    const unsigned = ethers.Transaction.from({ ...request, to })
+    /** @param {ethers.BigNumberish} value */
+    const quantity = (value) => ethers.toQuantity(value)
+
+    const fees =
+      unsigned.maxFeePerGas != null
+        ? {
+            maxFeePerGas: quantity(unsigned.maxFeePerGas),
+            maxPriorityFeePerGas: quantity(unsigned.maxPriorityFeePerGas ?? 0n),
+          }
+        : { gasPrice: quantity(unsigned.gasPrice ?? 0n) }
+    const result = await callRemoteSigner(this.endpoint, 'eth_signTransaction', [
+      {
+        from: this.address,
+        ...(unsigned.to ? { to: unsigned.to } : {}),
+        data: unsigned.data,
+        value: quantity(unsigned.value),
+        nonce: quantity(unsigned.nonce),
+        gas: quantity(unsigned.gasLimit),
+        chainId: quantity(unsigned.chainId),
+        type: quantity(unsigned.type ?? unsigned.inferType()),
+        ...fees,
+      },
+    ])
+
+    // Clef answers { raw, tx }, Web3Signer the raw transaction
+    const raw = typeof result === 'string' ? result : result?.raw
+    const signed = ethers.Transaction.from(raw)
+    if (signed.from?.toLowerCase() !== this.address.toLowerCase()) {
+      throw new Error(`Remote signer signed for ${signed.from}, expected ${this.address}`)
+    }
+    return raw
+  }
+
+  /**
+   * @param {string | Uint8Array} message - Message to sign
+   * @returns {Promise<string>} Signature
+   */
+  async signMessage(message) {
+    const bytes = typeof message === 'string' ? ethers.toUtf8Bytes(message) : message
+    return await callRemoteSigner(this.endpoint, 'personal_sign', [ethers.hexlify(bytes), this.address])
+  }
+
+  /**
+   * @param {ethers.TypedDataDomain} domain - EIP-712 domain
+   * @param {Record<string, ethers.TypedDataField[]>} types - EIP-712 types
+   * @param {Record<string, any>} value - Message
+   * @returns {Promise<string>} Signature
+   */
+  async signTypedData(domain, types, value) {
+    const payload = ethers.TypedDataEncoder.getPayload(domain, types, value)
+    return await callRemoteSigner(this.endpoint, 'eth_signTypedData_v4', [
+      this.address.toLowerCase(),
+      JSON.stringify(payload),
+    ])
+  }
+}
+
+/**
+ * Whether the inputs sign with something other than walletPrivateKey
+ * @param {Pick<ParsedInputs, 'keystorePath' | 'signerUrl'>} inputs - Parsed inputs
+ * @returns {boolean} True for a keystore file or a remote signer
+ */
+export function hasExternalSigner(inputs) {
+  return Boolean(inputs.keystorePath || inputs.signerUrl)
+}
+
+/**
+ * Create the signer of a keystore file or remote signer, connected to the chain
+ * @param {Pick<ParsedInputs, 'keystorePath' | 'keystorePassword' | 'signerUrl' | 'signerAddress' | 'signerAuthorization'>} inputs - Parsed inputs
+ * @param {{ http: string, endpoint: string }} rpc - HTTP endpoint of the chain, and the endpoint to use otherwise (HTTP or websocket)
+ * @returns {Promise<ethers.Signer>} Signer with a provider
+ */
+export async function createExternalSigner(inputs, rpc) {
+  if (inputs.signerUrl) {
+    const endpoint = { url: inputs.signerUrl, authorization: inputs.signerAuthorization }
+    const provider = new RemoteSigningProvider(rpc.http, endpoint)
+    const [address] = inputs.signerAddress
+      ? [inputs.signerAddress]
+      : await callRemoteSigner(endpoint, 'eth_accounts', [])
+    if (!address) throw new Error('Remote signer has no accounts, set signerAddress')
+    return new RemoteSigner(ethers.getAddress(address), endpoint, provider)
+  }
+
+  // The decrypted key only lives in this process, never in inputs or secrets
+  const json = await fs.readFile(resolveContentPath(inputs.keystorePath), 'utf8')
+  const decrypted = await ethers.Wallet.fromEncryptedJson(json, inputs.keystorePassword)
+  const provider = /^wss?:\/\//i.test(rpc.endpoint)
+    ? new ethers.WebSocketProvider(rpc.endpoint)
+    : new ethers.JsonRpcProvider(rpc.endpoint)
+  // A plain Wallet, so Synapse signs EIP-712 messages locally instead of asking the RPC endpoint
+  return new ethers.Wallet(decrypted.privateKey, provider)
+}
@@ -0,0 +1,7 @@
+/**
+ * Types of the SDK's `piece` subpath export. moduleResolution "node" does not read package exports, so the
+ * subpath is mapped to its declaration file in dist.
+ */
+declare module '@filoz/synapse-sdk/piece' {
+  export * from '@filoz/synapse-sdk/dist/piece/index.js'
+}
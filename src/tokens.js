@@ -0,0 +1,70 @@
+import { TOKENS } from '@filoz/synapse-sdk'
+import { ethers } from 'ethers'
+
+/**
+ * Tokens Synapse can deposit to Filecoin Pay. FIL is not one of them, it only pays for gas.
+ */
+export const PAYMENT_TOKENS = Object.values(TOKENS).filter((token) => token !== TOKENS.FIL)
+
+/**
+ * Decimals of each payment token. Kept here rather than read from synapse.payments.decimals() (which returns the same
+ * fixed 18 for USDFC without a chain call) so amount inputs can be parsed before Synapse is initialized.
+ * @type {Record<string, number>}
+ */
+const TOKEN_DECIMALS = {
+  [TOKENS.USDFC]: 18,
+}
+
+/**
+ * Validate the token input against the tokens Synapse supports
+ * @param {string} raw - token input
+ * @returns {string} Token identifier as the SDK spells it
+ */
+export function parsePaymentToken(raw) {
+  const token = PAYMENT_TOKENS.find((candidate) => candidate.toUpperCase() === raw.trim().toUpperCase())
+  if (!token) {
+    throw new Error(`token must be one of ${PAYMENT_TOKENS.map((t) => `"${t}"`).join(', ')}, got "${raw}"`)
+  }
+  return token
+}
+
+/**
+ * Decimals of a payment token
+ * @param {string} token - Token identifier (see parsePaymentToken)
+ * @returns {number} Decimals
+ */
+export function getTokenDecimals(token) {
+  const decimals = TOKEN_DECIMALS[token]
+  if (decimals == null) throw new Error(`Unknown decimals for token ${token}`)
+  return decimals
+}
+
+/**
+ * Parse a human-readable token amount into base units
+ * @param {string} value - Amount, e.g. "12.5"
+ * @param {string} token - Token identifier
+ * @returns {bigint} Amount in base units
+ */
+export function parseTokenAmount(value, token) {
+  return ethers.parseUnits(value, getTokenDecimals(token))
+}
+
+/**
+ * Format a token amount in base units for display, without the unit
+ * @param {import('ethers').BigNumberish} amount - Amount in base units
+ * @param {string} token - Token identifier
+ * @returns {string} Amount, e.g. "12.5"
+ */
+export function formatTokenAmount(amount, token) {
+  return ethers.formatUnits(amount, getTokenDecimals(token))
+}
+
+/**
+ * Format a token amount in base units with its unit, for log and error messages
+ * @param {import('ethers').BigNumberish} amount - Amount in base units
+ * @param {string} token - Token identifier
+ * @returns {string} Amount and unit, e.g. "12.5 USDFC"
+ */
+export function formatTokenValue(amount, token) {
+  return `${formatTokenAmount(amount, token)} ${token}`
+}
@@ -8,6 +8,7 @@ export interface CombinedContext {
   car_filename?: string
   car_download_url?: string
   car_size?: number | undefined
+  unixfs_layout?: UnixFsLayout
   artifact_name?: string
   build_run_id?: string
   event_name?: string
@@ -25,6 +26,9 @@ export interface CombinedContext {
     name?: string
   }
   upload_status?: string
+  is_fork?: boolean
+  handoff_run_id?: string
+  fork_gate_reason?: string
   run_id?: string
   repository?: string
   mode?: string
@@ -43,18 +47,333 @@ export interface CombinedContext {
     currentBalance?: string
     storageRunway?: string
     depositedThisRun?: string
+    withdrawnThisRun?: string
+    /** Token the amounts are in */
+    token?: string
   }
+  uploads?: ProviderUpload[]
+  piece_manifest?: PieceManifest
+  retrieval_verification?: RetrievalVerification
+  cost_estimate?: {
+    estimatedDeposit: string
+    requiredDeposit: string
+    depositClamped: boolean
+    projectedBalance: string
+    projectedRunway: string
+    monthlyCost: string
+    uploadShortfall: string
+  }
+  /** Named targets of a multi-target run, each with its own CAR and upload */
+  targets?: TargetContext[]
+}
+
+/** manifest.json: machine-readable record of a run, for later jobs to read with fromJson */
+export interface RunManifest {
+  /** Bumped when a field is removed or changes meaning, new fields keep the version */
+  schema_version: number
+  generated_at: string
+  /** upload_status of the run, 'failed' when it threw */
+  status: string
+  mode: string
+  network: string
+  run: {
+    id: string
+    repository: string
+    event_name: string
+    /** Run that built the CAR, when it was handed off by another job */
+    build_run_id: string
+    handoff_run_id: string
+  }
+  pr: { number: number; sha: string; title: string; author: string } | null
+  build: {
+    ipfs_root_cid: string
+    content_path: string
+    car_path: string
+    car_size: number | null
+    unixfs_layout: UnixFsLayout | null
+    artifact_name: string
+    car_download_url: string
+  } | null
+  upload: {
+    piece_cid: string
+    piece_id: string
+    data_set_id: string
+    preview_url: string
+    piece_count: number
+    provider_uploads: ProviderUpload[]
+    verification_status: string
+  } | null
+  provider: { id: string; name: string } | null
+  payment: {
+    token: string
+    current_balance: string
+    deposited_this_run: string
+    withdrawn_this_run: string
+    storage_runway: string
+  } | null
+  /** Dry runs only */
+  cost_estimate: CombinedContext['cost_estimate'] | null
+  /** Multi-target runs only, one entry per target */
+  targets: Array<{
+    name: string
+    status: string
+    ipfs_root_cid: string
+    content_path: string
+    car_path: string
+    car_size: number | null
+    piece_cid: string
+    data_set_id: string
+    provider: { id: string; name: string } | null
+    preview_url: string
+    artifact_name: string
+  }>
+  error: { message: string; code: string } | null
+}
+
+/** Build and upload of one entry of the `targets` input */
+export interface TargetContext
+  extends Pick<
+    CombinedContext,
+    | 'ipfs_root_cid'
+    | 'car_path'
+    | 'car_size'
+    | 'unixfs_layout'
+    | 'content_path'
+    | 'piece_cid'
+    | 'piece_id'
+    | 'data_set_id'
+    | 'provider'
+    | 'preview_url'
+    | 'upload_status'
+    | 'uploads'
+    | 'piece_manifest'
+    | 'retrieval_verification'
+    | 'artifact_name'
+    | 'car_download_url'
+  > {
+  name: string
 }
 
 export interface ParsedInputs {
   walletPrivateKey?: string
+  /** Encrypted JSON keystore to sign with instead of walletPrivateKey, relative to the workspace */
+  keystorePath: string
+  keystorePassword: string
+  /** JSON-RPC signing service (eth_signTransaction, eth_signTypedData_v4, personal_sign) holding the key */
+  signerUrl: string
+  /** Account of the remote signer, '' for its first account */
+  signerAddress: string
+  /** Authorization header sent to signerUrl */
+  signerAuthorization: string
   contentPath: string
-  network: 'mainnet' | 'calibration'
+  /** CAR built elsewhere to upload instead of packing contentPath, relative to the workspace */
+  carPath: string
+  /** Named contents to pack and upload in one run instead of contentPath, each path relative to the workspace */
+  targets: Array<{ name: string; path: string }>
+  /** Globs selecting the files under contentPath to pack, empty for all */
+  include: string[]
+  /** Globs of files and directories to leave out, gitignore-style (`!` re-includes) */
+  exclude: string[]
+  /** Apply the .filecoinignore file at the root of contentPath */
+  filecoinIgnore: boolean
+  /** Pack files and directories whose name starts with a dot */
+  includeHidden: boolean
+  /** `follow` packs what symlinks point to, `skip` leaves them out */
+  symlinks: 'follow' | 'skip'
+  /** Normalize modes and mtimes so the same source always yields the same root CID */
+  deterministic: boolean
+  /** UnixFS chunk size in bytes, undefined for filecoin-pin's */
+  chunkSize?: number | undefined
+  /** Store file data in raw leaves instead of UnixFS nodes, undefined for filecoin-pin's choice */
+  rawLeaves?: boolean | undefined
+  cidVersion?: 0 | 1 | undefined
+  /** Directory node size in bytes above which it becomes a HAMT shard, undefined for filecoin-pin's */
+  shardSplitThreshold?: number | undefined
+  network: 'mainnet' | 'calibration' | 'devnet'
+  /** RPC endpoint replacing Synapse's default for the network, '' for the default */
+  rpcUrl: string
+  /** Warm Storage contract replacing Synapse's default, the other contracts are discovered from it */
+  warmStorageAddress: string
   minStorageDays: number
   filecoinPayBalanceLimit?: bigint | undefined
+  withdrawExcess: boolean
   withCDN: boolean
+  /** Filecoin Pay token, one of PAYMENT_TOKENS */
   token: string
   providerAddress: string
+  providerAddresses: string[]
+  providerCount: number
+  allowPartialUploads: boolean
+  providerFallback: boolean
+  fallbackProviders: string[]
+  fallbackOrder: 'registry' | 'price' | 'random'
+  uploadAttempts: number
+  dataSetScope: 'branch' | 'wallet'
+  cleanupPullRequest?: number | undefined
+  cleanupOlderThanDays?: number | undefined
+  artifactRetentionDays?: number | undefined
+  ledger: 'off' | 'artifact' | 'branch'
+  ledgerBranch: string
+  ledgerHistory: number
+  maxCarSize?: number | undefined
+  maxDepositPerRun?: bigint | undefined
+  maxMonthlySpend?: bigint | undefined
+  maxUploadCost?: bigint | undefined
+  runwayAlertDays?: number | undefined
+  walletAlertBalance?: bigint | undefined
+  walletAlertFil?: bigint | undefined
+  /** FIL (wei) the wallet must hold before the action sends a transaction */
+  minGasBalance: bigint
+  alertIssue: boolean
+  inspectTarget: string
+  allowForkUploads: boolean
+  forkAllowedAuthors: string[]
+  forkUploadLabel: string
+  mode: 'single' | 'build' | 'upload' | 'cleanup' | 'maintenance' | 'inspect'
+  contextPath: string
+  buildRunId?: number | undefined
+  dryRun: boolean
+  verifyRetrieval: 'off' | 'warn' | 'fail'
+  verifyGatewayUrl: string
+  verifyTimeout: number
+}
+
+export interface SkippedProvider {
+  provider_address: string
+  reason: string
+  /** Pieces of a split CAR the provider stored before it failed, removed by `mode: cleanup` */
+  orphaned_pieces?: OrphanedPiece[]
+}
+
+/** A piece left behind on a provider that failed partway through a split CAR */
+export interface OrphanedPiece {
+  data_set_id: string
+  piece_id: string
+  piece_cid: string
+}
+
+export interface ProviderUpload {
+  /** Provider that ended up with the upload (or the last one tried) */
+  provider_address: string
+  /** Provider originally asked for, before failover */
+  requested_address: string
+  /** Providers given up on before provider_address, and why */
+  skipped: SkippedProvider[]
+  status: 'uploaded' | 'failed'
+  provider_id?: string
+  provider_name?: string
+  piece_cid?: string
+  piece_id?: string
+  data_set_id?: string
+  preview_url?: string
+  /** Every piece stored with this provider, when the CAR was split */
+  pieces?: Array<{ piece_cid: string; piece_id: string; data_set_id: string; preview_url: string }>
+  /** Piece was already in the provider's data set, nothing was uploaded */
+  reused?: boolean
+  error?: string
+  /** Pieces of a split CAR stored before the upload failed, removed by `mode: cleanup` */
+  orphaned_pieces?: OrphanedPiece[]
+}
+
+export interface PieceManifest {
+  ipfs_root_cid: string
+  network: string
+  car_size: number
+  /** Pieces that together hold every block of the root CID's DAG, in upload order */
+  pieces: Array<{ index: number; piece_cid: string; car_size: number }>
+  /** Where each provider stored the pieces, piece_ids in the order of pieces */
+  providers: Array<{ provider_address: string; provider_id: string; data_set_id: string; piece_ids: string[] }>
+}
+
+export interface RemovedPiece {
+  data_set_id: string
+  piece_id: string
+  piece_cid: string
+  /** Why the piece was removed (closed pull request, age) */
+  reason: string
+  /** Transaction scheduling the removal, when the provider accepted it */
+  tx_hash?: string
+  error?: string
+}
+
+export interface TerminatedDataSet {
+  data_set_id: string
+  /** Pull request the data set belonged to */
+  pull_request: number
+  /** Transaction terminating the data set and its payment rail */
+  tx_hash?: string
+  error?: string
+}
+
+/** One upload in the repository's ledger (ledger.jsonl) */
+export interface LedgerEntry {
+  uploaded_at: string
+  ipfs_root_cid: string
+  piece_cid: string
+  data_set_id: string
+  provider_id: string
+  provider_name: string
+  network: string
+  /** Payment token of deposited and withdrawn; entries written before it was recorded are USDFC */
+  token?: string
+  /** Amount of `token` deposited to Filecoin Pay by the run (deposited_usdfc in older entries) */
+  deposited: string
+  /** Amount of `token` withdrawn from Filecoin Pay by the run (withdrawExcess; withdrawn_usdfc in older entries) */
+  withdrawn?: string
+  /** Pieces failed providers kept of a split CAR, for `mode: cleanup` to remove */
+  orphaned_pieces?: OrphanedPiece[]
+  commit_sha: string
+  pr_number?: number
+  run_id: string
+  upload_status: string
+}
+
+/** A data set found by `mode: inspect`, with the pieces matching the inspected target */
+export interface InspectedDataSet {
+  data_set_id: string
+  live: boolean
+  /** proving: proofs are on schedule; overdue: the challenge window passed without a proof; not-started: no proof requested yet */
+  proving: 'proving' | 'overdue' | 'not-started' | 'not-live'
+  last_proven?: string | undefined
+  next_proof_due?: string | undefined
+  provider_id: string
+  provider_name: string
+  with_cdn: boolean
+  metadata: Record<string, string>
+  piece_count: number
+  pieces: Array<{ piece_id: string; piece_cid: string; ipfs_root_cid?: string | undefined; preview_url: string }>
+  rail: {
+    rail_id: string
+    /** Payment token of monthly_rate */
+    token: string
+    /** Amount of `token` per month currently paid for the data set */
+    monthly_rate: string
+    settled_up_to: string
+    /** Epoch the rail ends at once terminated, 0 while active */
+    end_epoch: string
+  }
+}
+
+export interface InspectResult {
+  target: string
+  target_type: 'root-cid' | 'piece-cid' | 'data-set'
+  network: string
+  /** True when a live, paid data set holds the target */
+  stored: boolean
+  data_sets: InspectedDataSet[]
+}
+
+/** An alert threshold that was crossed */
+export interface BalanceAlert {
+  kind: 'runway' | 'wallet-balance' | 'wallet-fil'
+  message: string
+}
+
+export interface RetrievalVerification {
+  status: 'verified' | 'unverified'
+  provider: 'verified' | 'failed' | 'skipped'
+  gateway: 'verified' | 'failed' | 'skipped'
+  reason?: string
 }
 
 export interface PRMetadata {
@@ -74,6 +393,25 @@ export interface UploadResult {
   }
   previewURL: string
   network: string
+  /** True when the piece was already committed to the data set and no bytes were sent */
+  reused?: boolean
+  /** Every piece stored with the provider when the CAR was split, the fields above describe the first one */
+  pieces?: PieceUpload[]
+}
+
+export interface PieceUpload {
+  pieceCid: string
+  pieceId: string
+  dataSetId: string
+  previewURL: string
+}
+
+export interface UnixFsLayout {
+  chunk_size: number
+  raw_leaves: boolean
+  cid_version: 0 | 1
+  hash_function: string
+  shard_split_threshold: number
 }
 
 export interface BuildResult {
@@ -81,6 +419,8 @@ export interface BuildResult {
   carPath: string
   ipfsRootCid: string
   carSize?: number | undefined
+  /** UnixFS parameters the CAR was packed with, unknown for a handed-off CAR from an older build */
+  layout?: UnixFsLayout | undefined
 }
 
 export interface CommentPRParams {
@@ -103,6 +443,42 @@ export interface PaymentConfig {
   filecoinPayBalanceLimit?: bigint | undefined
 }
 
+export interface TopUpPlan {
+  /** Deposit needed to reach minStorageDays */
+  requiredTopUp: bigint
+  /** Deposit actually made, after applying filecoinPayBalanceLimit */
+  topUp: bigint
+  /** True when filecoinPayBalanceLimit reduced the deposit */
+  clamped: boolean
+}
+
+export interface WithdrawalPlan {
+  /** Filecoin Pay balance above filecoinPayBalanceLimit */
+  excess: bigint
+  /** Funds neither locked up by rails nor needed for minStorageDays */
+  withdrawable: bigint
+  /** Withdrawal made: the excess, capped to what is withdrawable */
+  amount: bigint
+}
+
+export interface UploadEstimate extends TopUpPlan {
+  status: any
+  /** Payment status after the deposit and with the new piece's rate and lockup added */
+  projectedStatus: any
+  ratePerEpoch: bigint
+  lockup: bigint
+  /** Deposit still missing for the upload to pass payment validation */
+  shortfall: bigint
+}
+
+/** One piece of the CAR to upload, the whole CAR unless it had to be split */
+export interface CarUpload {
+  carPath: string
+  carSize: number
+  /** Piece CID (v2) computed while streaming the CAR from disk */
+  pieceCid: string
+}
+
 export interface UploadConfig {
   withCDN: boolean
   providerAddress: string
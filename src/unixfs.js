@@ -0,0 +1,155 @@
+import { createReadStream, createWriteStream, promises as fs } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { basename, join } from 'node:path'
+import { Readable } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import { CarWriter } from '@ipld/car'
+import { importer } from 'ipfs-unixfs-importer'
+import { fixedSize } from 'ipfs-unixfs-importer/chunker'
+import { balanced } from 'ipfs-unixfs-importer/layout'
+import { CID } from 'multiformats/cid'
+import { sha256 } from 'multiformats/hashes/sha2'
+
+// Import types for JSDoc
+/**
+ * @typedef {import('./types.js').ParsedInputs} ParsedInputs
+ * @typedef {import('./types.js').UnixFsLayout} UnixFsLayout
+ * @typedef {Pick<ParsedInputs, 'chunkSize' | 'rawLeaves' | 'cidVersion' | 'shardSplitThreshold'>} LayoutOptions
+ * @typedef {{ path: string, content?: AsyncIterable<Uint8Array> }} ImportEntry
+ */
+
+/**
+ * Largest chunk size, kubo's limit: larger blocks are rejected by many IPFS nodes and gateways
+ */
+export const MAX_CHUNK_SIZE = 1024 * 1024
+
+/**
+ * Layout filecoin-pin packs with (the @helia/unixfs defaults)
+ * @type {UnixFsLayout}
+ */
+export const DEFAULT_UNIXFS_LAYOUT = {
+  chunk_size: 1024 * 1024,
+  raw_leaves: true,
+  cid_version: 1,
+  hash_function: 'sha2-256',
+  shard_split_threshold: 256 * 1024,
+}
+
+/**
+ * Children per intermediate file node, as @helia/unixfs builds balanced DAGs
+ */
+const MAX_CHILDREN_PER_NODE = 1024
+
+/**
+ * Layout of the CAR for the parsed inputs
+ * @param {LayoutOptions} inputs - Parsed inputs
+ * @returns {{ layout: UnixFsLayout, custom: boolean }} Layout, and whether it differs from filecoin-pin's
+ */
+export function resolveUnixFsLayout(inputs) {
+  // CIDv0 can only address dag-pb blocks, so its leaves are UnixFS nodes (parseInputs rejects rawLeaves with it)
+  const cidVersion = inputs.cidVersion ?? DEFAULT_UNIXFS_LAYOUT.cid_version
+  /** @type {UnixFsLayout} */
+  const layout = {
+    chunk_size: inputs.chunkSize ?? DEFAULT_UNIXFS_LAYOUT.chunk_size,
+    raw_leaves: inputs.rawLeaves ?? (cidVersion === 0 ? false : DEFAULT_UNIXFS_LAYOUT.raw_leaves),
+    cid_version: cidVersion,
+    hash_function: DEFAULT_UNIXFS_LAYOUT.hash_function,
+    shard_split_threshold: inputs.shardSplitThreshold ?? DEFAULT_UNIXFS_LAYOUT.shard_split_threshold,
+  }
+  const custom = Object.entries(layout).some(
+    ([key, value]) => value !== DEFAULT_UNIXFS_LAYOUT[/** @type {keyof UnixFsLayout} */ (key)]
+  )
+  return { layout, custom }
+}
+
+/**
+ * List the files and directories to import, in name order, with paths relative to the content root
+ * @param {string} directory - Directory to walk
+ * @param {string} prefix - Path of the directory in the DAG
+ * @returns {AsyncGenerator<ImportEntry>} Import entries
+ */
+async function* walkDirectory(directory, prefix) {
+  const names = (await fs.readdir(directory)).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))
+  for (const name of names) {
+    const path = join(directory, name)
+    const entryPath = prefix ? `${prefix}/${name}` : name
+    const stat = await fs.stat(path)
+    if (stat.isDirectory()) {
+      yield { path: entryPath }
+      yield* walkDirectory(path, entryPath)
+    } else if (stat.isFile()) {
+      yield { path: entryPath, content: createReadStream(path) }
+    }
+  }
+}
+
+/**
+ * Pack a file or directory into a CAR with a custom UnixFS layout, for builds that cannot use filecoin-pin's
+ * defaults. A single file is wrapped in a directory so it keeps its name.
+ * @param {string} targetPath - File or directory to pack
+ * @param {UnixFsLayout} layout - UnixFS layout
+ * @returns {Promise<{ carPath: string, rootCid: CID }>} CAR file and its root
+ */
+export async function packCarWithLayout(targetPath, layout) {
+  const directory = join(process.env.RUNNER_TEMP || tmpdir(), 'filecoin-pin-pack')
+  await fs.mkdir(directory, { recursive: true })
+  const packingPath = join(directory, `packing-${process.pid}.car`)
+
+  // The root is only known once everything is imported: write a placeholder of the same length, patch it after
+  const emptyDigest = await sha256.digest(new Uint8Array())
+  const placeholder = layout.cid_version === 0 ? CID.createV0(emptyDigest) : CID.createV1(0x70, emptyDigest)
+  const { writer, out } = CarWriter.create([placeholder])
+  const written = pipeline(Readable.from(out), createWriteStream(packingPath))
+
+  // The importer can put the same block more than once (identical chunks or files)
+  const seen = new Set()
+  const blockstore = {
+    /**
+     * @param {CID} cid - Block CID
+     * @param {Uint8Array} bytes - Block bytes
+     */
+    put: async (cid, bytes) => {
+      const key = cid.toString()
+      if (!seen.has(key)) {
+        seen.add(key)
+        await writer.put({ cid, bytes })
+      }
+      return cid
+    },
+  }
+
+  const stat = await fs.stat(targetPath)
+  const source = stat.isDirectory()
+    ? walkDirectory(targetPath, '')
+    : [{ path: basename(targetPath), content: createReadStream(targetPath) }]
+
+  /** @type {CID | undefined} */
+  let rootCid
+  try {
+    for await (const entry of importer(source, blockstore, {
+      chunker: fixedSize({ chunkSize: layout.chunk_size }),
+      layout: balanced({ maxChildrenPerNode: MAX_CHILDREN_PER_NODE }),
+      rawLeaves: layout.raw_leaves,
+      cidVersion: layout.cid_version,
+      shardSplitThresholdBytes: layout.shard_split_threshold,
+      wrapWithDirectory: true,
+    })) {
+      rootCid = entry.cid
+    }
+  } finally {
+    await writer.close()
+    await written
+  }
+  if (!rootCid) throw new Error(`Nothing to pack in ${targetPath}`)
+
+  const file = await fs.open(packingPath, 'r+')
+  try {
+    await CarWriter.updateRootsInFile(file, [rootCid])
+  } finally {
+    await file.close()
+  }
+
+  const carPath = join(directory, `${rootCid.toString()}.car`)
+  await fs.rename(packingPath, carPath)
+  return { carPath, rootCid }
+}
@@ -1,27 +1,572 @@
-import { access } from 'node:fs/promises'
-import { ethers } from 'ethers'
+import { access, stat } from 'node:fs/promises'
+import { TIME_CONSTANTS } from '@filoz/synapse-sdk'
 import { getPaymentStatus } from 'filecoin-pin/dist/synapse/payments.js'
 import pc from 'picocolors'
 import pino from 'pino'
+import { checkBalances, hasBalanceAlerts, reportAlertIssue } from './alerts.js'
+import { findArtifactUpload, publishArtifacts } from './artifacts.js'
+import { checkCarSize, checkSpend, hasSpendLimits } from './budget.js'
+import { findCachedUpload, restoreUploadCache, saveUploadCache, saveUploadToCache } from './cache.js'
 import { commentOnPR } from './comments/comment.js'
-import { getGlobalContext, mergeAndSaveContext } from './context.js'
+import { getGlobalContext, mergeAndSaveContext, savePieceManifest } from './context.js'
+import { getDataSetMetadata, getPieceMetadata } from './datasets.js'
 import {
   calculateStorageRunway,
+  checkGasBalance,
   cleanupSynapse,
+  estimateUpload,
   handlePayments,
   initializeSynapse,
-  uploadCarToFilecoin,
+  prepareCarUpload,
+  withdrawExcess,
 } from './filecoin.js'
+import { evaluateForkGate } from './fork.js'
 import { ensurePullRequestContext } from './github.js'
 import { parseInputs } from './inputs.js'
-import { writeOutputs, writeSummary } from './outputs.js'
+import { appendToLedger, getRecentEntries, getTotalDeposited, toLedgerEntry } from './ledger.js'
+import {
+  appendSummary,
+  getAlertSummary,
+  getLedgerSummary,
+  getStatusLabel,
+  writeOutputs,
+  writeSummary,
+} from './outputs.js'
+import {
+  getMaxPieceSize,
+  listFallbackProviders,
+  requireProviderUploads,
+  resolveProviderAddresses,
+  toPieceManifest,
+  toProviderUploads,
+  uploadToProviders,
+} from './providers.js'
+import { hasExternalSigner } from './signer.js'
+import { formatTokenAmount } from './tokens.js'
+import { requireVerifiedRetrieval, verifyRetrieval } from './verify.js'
 
 // Import types for JSDoc
 /**
  * @typedef {import('./types.js').CombinedContext} CombinedContext
  * @typedef {import('./types.js').ParsedInputs} ParsedInputs
  * @typedef {import('./types.js').UploadResult} UploadResult
+ * @typedef {import('./types.js').RetrievalVerification} RetrievalVerification
+ * @typedef {import('./types.js').TargetContext} TargetContext
+ * @typedef {import('./types.js').ProviderUpload} ProviderUpload
+ * @typedef {import('./types.js').PieceManifest} PieceManifest
+ * @typedef {{ pieces: Array<{ carSize: number }>, uploads: ProviderUpload[], uploadResults: UploadResult[], pieceManifest: PieceManifest, pieceManifestPath: string, retrievalVerification: RetrievalVerification | undefined, uploadStatus: string }} StoredCar
+ */
+
+/**
+ * Publish the CAR and current context as a workflow artifact and record where to download it
+ * @param {ParsedInputs} inputs - Parsed inputs
+ * @returns {Promise<Partial<CombinedContext>>} Updated context
+ */
+async function publishRunArtifacts(inputs) {
+  /** @type {import('./types.js').ArtifactUploadOptions} */
+  const options = {}
+  if (inputs.artifactRetentionDays != null) options.retentionDays = inputs.artifactRetentionDays
+
+  const published = await publishArtifacts(getGlobalContext(), options)
+  if (!published) return getGlobalContext()
+  return await mergeAndSaveContext(published)
+}
+
+/**
+ * Whether this run may report an earlier upload as its own. With per-branch data sets, another pull request's
+ * pieces are removed by `mode: cleanup` once it closes, so they are not reused outside that pull request.
+ * @param {CombinedContext} previous - Context recorded by the earlier upload
+ * @param {Partial<CombinedContext>} ctx - Context of this run
+ * @param {ParsedInputs} inputs - Parsed inputs
+ * @returns {boolean} True when the earlier upload can be reused
+ */
+function isReusable(previous, ctx, inputs) {
+  if (inputs.dataSetScope !== 'branch' || !previous.pr?.number) return true
+  if (previous.pr.number === ctx.pr?.number) return true
+
+  console.log(`Earlier upload belongs to pull request #${previous.pr.number} and may be pruned, uploading again`)
+  return false
+}
+
+/**
+ * Report a previous upload of the same root CID instead of paying for it again
+ * @param {CombinedContext} previous - Context recorded by the earlier upload
+ * @param {string} uploadStatus - upload_status to report (e.g. 'reused-cache')
+ * @param {string} carPath - Path to the CAR built by this run
+ * @param {ParsedInputs} inputs - Parsed inputs
+ */
+async function reusePreviousUpload(previous, uploadStatus, carPath, inputs) {
+  const rootCid = previous.ipfs_root_cid || ''
+  const provider = previous.provider || {}
+
+  console.log(`━━━ Reusing Previous Upload (${uploadStatus}) ━━━`)
+  console.log(`::notice::IPFS Root CID ${rootCid} was already uploaded, skipping upload`)
+
+  await mergeAndSaveContext({
+    piece_cid: previous.piece_cid || '',
+    piece_id: previous.piece_id || '',
+    data_set_id: previous.data_set_id || '',
+    provider,
+    preview_url: previous.preview_url || '',
+    network: previous.network || '',
+    upload_status: uploadStatus,
+    uploads: previous.uploads || [],
+  })
+  const ctx = await publishRunArtifacts(inputs)
+
+  await writeOutputs({
+    ipfs_root_cid: rootCid,
+    data_set_id: ctx.data_set_id,
+    piece_cid: ctx.piece_cid,
+    provider_id: provider.id || '',
+    provider_name: provider.name || '',
+    car_path: carPath,
+    artifact_name: ctx.artifact_name || '',
+    car_download_url: ctx.car_download_url || '',
+    upload_status: uploadStatus,
+    provider_uploads: JSON.stringify(ctx.uploads || []),
+  })
+
+  console.log(`Data Set ID: ${ctx.data_set_id}`)
+  console.log(`Piece CID: ${ctx.piece_cid}`)
+
+  await writeSummary(ctx, getStatusLabel(uploadStatus))
+  await commentOnPR(ctx)
+}
+
+/**
+ * Estimate the deposit and upload cost of storing `size` bytes with every requested provider, and record it in the
+ * context
+ * @param {any} synapse - Synapse service
+ * @param {number} size - Bytes to upload (all CARs of the run)
+ * @param {ParsedInputs} inputs - Parsed inputs
+ * @param {any} logger - Logger instance
+ * @returns {Promise<{ estimate: Awaited<ReturnType<typeof estimateUpload>>, costEstimate: NonNullable<CombinedContext['cost_estimate']> }>} Estimate, and its formatted amounts
+ */
+async function estimateDryRun(synapse, size, inputs, logger) {
+  const { minStorageDays, filecoinPayBalanceLimit, token, withCDN, network } = inputs
+
+  console.log('━━━ Dry Run: Estimating Costs ━━━')
+  const copies = (await resolveProviderAddresses(synapse, inputs)).length
+  const estimate = await estimateUpload(
+    synapse,
+    size * copies,
+    { minStorageDays, filecoinPayBalanceLimit, token, withCDN },
+    logger
+  )
+
+  const costEstimate = {
+    estimatedDeposit: formatTokenAmount(estimate.topUp, token),
+    requiredDeposit: formatTokenAmount(estimate.requiredTopUp, token),
+    depositClamped: estimate.clamped,
+    projectedBalance: formatTokenAmount(estimate.projectedStatus.depositedAmount, token),
+    projectedRunway: calculateStorageRunway(estimate.projectedStatus),
+    monthlyCost: formatTokenAmount(estimate.ratePerEpoch * TIME_CONSTANTS.EPOCHS_PER_MONTH, token),
+    uploadShortfall: formatTokenAmount(estimate.shortfall, token),
+  }
+
+  await mergeAndSaveContext({
+    network,
+    upload_status: 'dry-run',
+    payment_status: {
+      token,
+      currentBalance: formatTokenAmount(estimate.status.depositedAmount || 0n, token),
+      storageRunway: calculateStorageRunway(estimate.status),
+      depositedThisRun: '0',
+    },
+    cost_estimate: costEstimate,
+  })
+
+  console.log(`Deposit this run would make: ${costEstimate.estimatedDeposit} ${token}`)
+  if (estimate.clamped) {
+    console.log(
+      `::warning::filecoinPayBalanceLimit would reduce the deposit from ${costEstimate.requiredDeposit} to ${costEstimate.estimatedDeposit} ${token}`
+    )
+  }
+  console.log(`Projected runway after this upload: ${costEstimate.projectedRunway}`)
+  if (estimate.shortfall > 0n) {
+    console.log(
+      `::warning::The upload would fail payment validation: deposit at least ${costEstimate.uploadShortfall} ${token} more`
+    )
+  }
+  return { estimate, costEstimate }
+}
+
+/**
+ * Report the deposit and upload cost a real run would incur, without sending any transaction
+ * @param {any} synapse - Synapse service
+ * @param {string} rootCid - Root CID of the CAR
+ * @param {string} carPath - Path to the CAR file
+ * @param {ParsedInputs} inputs - Parsed inputs
+ * @param {any} logger - Logger instance
+ */
+async function reportDryRun(synapse, rootCid, carPath, inputs, logger) {
+  const { size: carSize } = await stat(carPath)
+  const { estimate, costEstimate } = await estimateDryRun(synapse, carSize, inputs, logger)
+  const ctx = await publishRunArtifacts(inputs)
+
+  await writeOutputs({
+    ipfs_root_cid: rootCid,
+    car_path: carPath,
+    artifact_name: ctx.artifact_name || '',
+    car_download_url: ctx.car_download_url || '',
+    upload_status: 'dry-run',
+    estimated_deposit: costEstimate.estimatedDeposit,
+    deposit_clamped: String(costEstimate.depositClamped),
+    projected_balance: costEstimate.projectedBalance,
+    projected_runway: costEstimate.projectedRunway,
+  })
+
+  console.log('::notice::Dry run complete. Nothing was deposited or uploaded.')
+
+  await writeSummary(ctx, getStatusLabel('dry-run'))
+
+  // A dry run reports the estimate first, then fails like the real run would
+  if (hasSpendLimits(inputs)) await checkSpend(estimate, inputs)
+}
+
+/**
+ * Store a CAR with every requested provider, the first success is reported as the primary upload
+ * @param {any} synapse - Synapse service
+ * @param {{ rootCid: string, carPath: string, carSize: number }} car - CAR to store
+ * @param {string[]} providerAddresses - Providers to store a copy with
+ * @param {ParsedInputs} inputs - Parsed inputs
+ * @param {Partial<CombinedContext>} ctx - Run context, for the data set and piece metadata
+ * @param {any} logger - Logger instance
+ * @param {string} [name] - Target of a multi-target run
+ * @returns {Promise<StoredCar>} Uploads and their verification
+ */
+async function storeCar(synapse, { rootCid, carPath, carSize }, providerAddresses, inputs, ctx, logger, name) {
+  const maxPieceSize = await getMaxPieceSize(synapse, providerAddresses)
+  const pieces = await prepareCarUpload(synapse, carPath, { copies: providerAddresses.length, maxPieceSize })
+  const largestPiece = Math.max(...pieces.map((piece) => piece.carSize))
+
+  // Unavailable providers are replaced by other approved providers, looked up only when first needed
+  /** @type {Promise<string[]> | undefined} */
+  let fallbacks
+  const getFallbacks = inputs.providerFallback
+    ? () => {
+        fallbacks ??= listFallbackProviders(synapse, inputs, largestPiece)
+        return fallbacks
+      }
+    : undefined
+  const attempts = await uploadToProviders(
+    synapse,
+    pieces,
+    rootCid,
+    providerAddresses,
+    {
+      withCDN: inputs.withCDN,
+      attempts: inputs.uploadAttempts,
+      dataSetMetadata: getDataSetMetadata(inputs.dataSetScope, ctx),
+      pieceMetadata: getPieceMetadata(rootCid, ctx),
+      getFallbacks,
+    },
+    logger
+  )
+  const uploads = toProviderUploads(attempts)
+  /** @type {UploadResult[]} */
+  let uploadResults
+  try {
+    uploadResults = requireProviderUploads(attempts, inputs.allowPartialUploads)
+  } catch (error) {
+    // The run fails without an upload to record, but pieces failed providers kept still need to reach cleanup
+    const entry = toLedgerEntry({ ...ctx, ipfs_root_cid: rootCid, upload_status: 'failed', uploads }, 0n)
+    if (entry.orphaned_pieces && inputs.ledger !== 'off') {
+      await appendToLedger(entry, {
+        storage: inputs.ledger,
+        branch: inputs.ledgerBranch,
+        retentionDays: inputs.artifactRetentionDays,
+      })
+    }
+    throw error
+  }
+  const { network } = /** @type {UploadResult} */ (uploadResults[0])
+
+  // Map the root CID to every piece holding its blocks, so a split CAR can still be found from one root
+  const pieceManifest = toPieceManifest({ ipfsRootCid: rootCid, network, carSize }, pieces, uploads)
+  const pieceManifestPath = await savePieceManifest(pieceManifest, name)
+
+  // Optionally prove the providers (and a gateway) serve back exactly what was uploaded
+  /** @type {RetrievalVerification | undefined} */
+  let retrievalVerification
+  if (inputs.verifyRetrieval !== 'off') {
+    const storedPieces = uploadResults.flatMap((result) =>
+      result.pieces
+        ? result.pieces.map(({ previewURL, pieceCid }) => ({ previewURL, pieceCid, part: true }))
+        : [{ previewURL: result.previewURL, pieceCid: result.pieceCid }]
+    )
+    retrievalVerification = await verifyRetrieval({ rootCid, pieces: storedPieces }, inputs)
+  }
+  let uploadStatus = 'uploaded'
+  if (retrievalVerification?.status === 'unverified') uploadStatus = 'unverified'
+  else if (uploadResults.length < attempts.length) uploadStatus = 'partial'
+
+  return { pieces, uploads, uploadResults, pieceManifest, pieceManifestPath, retrievalVerification, uploadStatus }
+}
+
+/**
+ * upload_status of a multi-target run: the least complete status of its targets
  */
+const TARGET_STATUS_ORDER = ['unverified', 'partial', 'dry-run', 'uploaded', 'reused-artifact', 'reused-cache']
+
+/**
+ * Upload every target of a multi-target run: targets stored by an earlier run are reused, the others share one
+ * Synapse session, one spend check, and one deposit
+ * @param {Partial<CombinedContext>} ctx - Context of the build phase
+ * @param {ParsedInputs} inputs - Parsed inputs
+ * @param {any} logger - Logger instance
+ */
+async function uploadTargets(ctx, inputs, logger) {
+  const { network: inputNetwork, minStorageDays, filecoinPayBalanceLimit, token, withCDN, dryRun } = inputs
+  const targets = /** @type {TargetContext[]} */ (ctx.targets)
+  const { targets: _targets, ...runContext } = ctx
+
+  // Earlier uploads of a target's root CID are found in its own cache entry, then through their artifacts
+  /** @type {TargetContext[]} */
+  const pending = []
+  for (const target of targets) {
+    const rootCid = target.ipfs_root_cid || ''
+    try {
+      await access(target.car_path || '')
+    } catch {
+      throw new Error(`CAR file of target ${target.name} not found at ${target.car_path}`)
+    }
+
+    await restoreUploadCache(rootCid)
+    const cached = await findCachedUpload(rootCid, inputNetwork)
+    const fromCache = cached != null && isReusable(cached, ctx, inputs)
+    const previous = fromCache ? cached : await findArtifactUpload(rootCid, inputNetwork)
+    if (previous && (fromCache || isReusable(previous, ctx, inputs))) {
+      console.log(`::notice::${target.name}: IPFS Root CID ${rootCid} was already uploaded, skipping upload`)
+      Object.assign(target, {
+        piece_cid: previous.piece_cid || '',
+        piece_id: previous.piece_id || '',
+        data_set_id: previous.data_set_id || '',
+        provider: previous.provider || {},
+        preview_url: previous.preview_url || '',
+        upload_status: fromCache ? 'reused-cache' : 'reused-artifact',
+        uploads: previous.uploads || [],
+      })
+    } else {
+      checkCarSize(target.car_size || 0, inputs)
+      pending.push(target)
+    }
+  }
+
+  /** @type {any} */
+  let synapse
+  /** @type {Awaited<ReturnType<typeof estimateDryRun>> | undefined} */
+  let dryRunEstimate
+  let depositedThisRun = 0n
+  /** @type {Awaited<ReturnType<typeof withdrawExcess>> | undefined} */
+  let withdrawal
+  if (pending.length > 0) {
+    if (!inputs.walletPrivateKey && !hasExternalSigner(inputs)) {
+      throw new Error('walletPrivateKey, keystorePath, or signerUrl is required for upload phase')
+    }
+    synapse = await initializeSynapse(inputs, logger)
+    const totalSize = pending.reduce((sum, target) => sum + (target.car_size || 0), 0)
+
+    if (dryRun) {
+      dryRunEstimate = await estimateDryRun(synapse, totalSize, inputs, logger)
+      for (const target of pending) target.upload_status = 'dry-run'
+    } else {
+      const providerAddresses = await resolveProviderAddresses(synapse, inputs)
+      if (hasSpendLimits(inputs)) {
+        const estimate = await estimateUpload(
+          synapse,
+          totalSize * providerAddresses.length,
+          { minStorageDays, filecoinPayBalanceLimit, token, withCDN },
+          logger
+        )
+        await checkSpend(estimate, inputs)
+      }
+
+      // Allowance, deposit, and withdrawal transactions all need FIL for gas
+      await checkGasBalance(synapse, inputs.minGasBalance)
+
+      // One deposit covers every target
+      const initialPaymentStatus = await getPaymentStatus(synapse)
+      const paymentStatus = await handlePayments(synapse, { minStorageDays, filecoinPayBalanceLimit, token }, logger)
+
+      // Targets with identical content share one upload
+      /** @type {Map<string, Partial<TargetContext>>} */
+      const stored = new Map()
+      for (const target of pending) {
+        const rootCid = target.ipfs_root_cid || ''
+        console.log(`━━━ Uploading Target ${target.name} ━━━`)
+        const earlier = stored.get(rootCid)
+        if (earlier) {
+          Object.assign(target, earlier)
+          continue
+        }
+
+        const car = { rootCid, carPath: target.car_path || '', carSize: target.car_size || 0 }
+        const result = await storeCar(synapse, car, providerAddresses, inputs, runContext, logger, target.name)
+        const primary = /** @type {UploadResult} */ (result.uploadResults[0])
+        /** @type {Partial<TargetContext>} */
+        const upload = {
+          piece_cid: primary.pieceCid,
+          piece_id: primary.pieceId,
+          data_set_id: primary.dataSetId,
+          provider: primary.provider,
+          preview_url: primary.previewURL,
+          upload_status: result.uploadStatus,
+          uploads: result.uploads,
+          piece_manifest: result.pieceManifest,
+          ...(result.retrievalVerification ? { retrieval_verification: result.retrievalVerification } : {}),
+        }
+        Object.assign(target, upload)
+        stored.set(rootCid, upload)
+        console.log(`${target.name}: piece ${primary.pieceCid} in data set ${primary.dataSetId}`)
+      }
+
+      depositedThisRun =
+        BigInt(paymentStatus?.depositedAmount || 0) - BigInt(initialPaymentStatus?.depositedAmount || 0)
+
+      // Opt-in: return the balance above filecoinPayBalanceLimit, now that the uploads' lockup is taken
+      withdrawal = inputs.withdrawExcess
+        ? await withdrawExcess(synapse, { minStorageDays, filecoinPayBalanceLimit, token }, {}, logger)
+        : undefined
+      const currentStatus = withdrawal?.status ?? paymentStatus
+      await mergeAndSaveContext({
+        payment_status: {
+          token,
+          depositedAmount: formatTokenAmount(currentStatus?.depositedAmount || 0n, token),
+          currentBalance: formatTokenAmount(currentStatus?.depositedAmount || 0n, token),
+          storageRunway: calculateStorageRunway(currentStatus),
+          depositedThisRun: formatTokenAmount(depositedThisRun, token),
+          ...(withdrawal ? { withdrawnThisRun: formatTokenAmount(withdrawal.plan.amount, token) } : {}),
+        },
+      })
+    }
+  }
+  const withdrawnThisRun = withdrawal?.plan.amount ?? 0n
+
+  // Each target gets its own artifact, named after its root CID
+  /** @type {import('./types.js').ArtifactUploadOptions} */
+  const artifactOptions = {}
+  if (inputs.artifactRetentionDays != null) artifactOptions.retentionDays = inputs.artifactRetentionDays
+  const uploadStatus = TARGET_STATUS_ORDER.find((status) => targets.some((t) => t.upload_status === status)) || ''
+  const { targets: _saved, ...baseContext } = await mergeAndSaveContext({
+    network: inputNetwork,
+    upload_status: uploadStatus,
+    targets,
+  })
+  /** @type {Map<string, Partial<TargetContext>>} */
+  const published = new Map()
+  for (const target of targets) {
+    const rootCid = target.ipfs_root_cid || ''
+    const artifact = published.get(rootCid) ?? (await publishArtifacts({ ...baseContext, ...target }, artifactOptions))
+    if (artifact) {
+      Object.assign(target, artifact)
+      published.set(rootCid, artifact)
+    }
+  }
+  const finalContext = await mergeAndSaveContext({ targets })
+
+  // Like the single-target cache steps: complete uploads, and artifact reuses the cache did not know yet
+  const cacheable = targets.filter(
+    (target, index) =>
+      (target.upload_status === 'uploaded' || target.upload_status === 'reused-artifact') &&
+      targets.findIndex((other) => other.ipfs_root_cid === target.ipfs_root_cid) === index
+  )
+  for (const target of cacheable) {
+    await saveUploadCache(/** @type {CombinedContext} */ ({ ...baseContext, ...target }))
+  }
+
+  // Record the uploads in the repository's ledger, each root CID once and the deposit with the first upload
+  const uploaded = targets.filter(
+    (target, index) =>
+      target.piece_cid &&
+      !target.upload_status?.startsWith('reused') &&
+      targets.findIndex((other) => other.ipfs_root_cid === target.ipfs_root_cid) === index
+  )
+  const ledger =
+    inputs.ledger === 'off' || uploaded.length === 0
+      ? undefined
+      : await appendToLedger(
+          uploaded.map((target, index) =>
+            toLedgerEntry(
+              { ...baseContext, ...target, ...(index > 0 ? { payment_status: { token } } : {}) },
+              index === 0 ? depositedThisRun : 0n
+            )
+          ),
+          { storage: inputs.ledger, branch: inputs.ledgerBranch, retentionDays: inputs.artifactRetentionDays }
+        )
+  const recentUploads = ledger ? getRecentEntries(ledger.entries, inputs.ledgerHistory) : []
+  const totalDeposited = ledger ? getTotalDeposited(ledger.entries, token) : ''
+
+  // Warn while someone can still top up: runway after the uploads' rates were added, and wallet balances
+  const alerts =
+    synapse && !dryRun && hasBalanceAlerts(inputs)
+      ? await checkBalances(synapse, await getPaymentStatus(synapse), inputs)
+      : []
+  if (synapse && !dryRun && inputs.alertIssue && hasBalanceAlerts(inputs)) {
+    await reportAlertIssue(synapse, alerts, inputNetwork)
+  }
+
+  await writeOutputs({
+    upload_status: uploadStatus,
+    targets: JSON.stringify(
+      Object.fromEntries(
+        targets.map((target) => [
+          target.name,
+          {
+            ipfs_root_cid: target.ipfs_root_cid || '',
+            piece_cid: target.piece_cid || '',
+            data_set_id: target.data_set_id || '',
+            provider_id: target.provider?.id || '',
+            provider_name: target.provider?.name || '',
+            preview_url: target.preview_url || '',
+            upload_status: target.upload_status || '',
+            car_path: target.car_path || '',
+            artifact_name: target.artifact_name || '',
+            car_download_url: target.car_download_url || '',
+          },
+        ])
+      )
+    ),
+    ...(dryRunEstimate
+      ? {
+          estimated_deposit: dryRunEstimate.costEstimate.estimatedDeposit,
+          deposit_clamped: String(dryRunEstimate.costEstimate.depositClamped),
+          projected_balance: dryRunEstimate.costEstimate.projectedBalance,
+          projected_runway: dryRunEstimate.costEstimate.projectedRunway,
+        }
+      : {}),
+    ledger_path: ledger?.path || '',
+    ledger_recent: ledger ? JSON.stringify(recentUploads) : '',
+    ledger_total_deposited: totalDeposited,
+    runway_alert: String(alerts.length > 0),
+    withdrawn: formatTokenAmount(withdrawnThisRun, token),
+  })
+
+  console.log('\n━━━ Upload Complete ━━━')
+  for (const target of targets) {
+    console.log(`${target.name}: ${target.ipfs_root_cid} (${getStatusLabel(target.upload_status)})`)
+  }
+  console.log(`::notice::${targets.length} targets processed: ${getStatusLabel(uploadStatus)}`)
+  if (dryRunEstimate) console.log('::notice::Dry run complete. Nothing was deposited or uploaded.')
+
+  await writeSummary(finalContext, getStatusLabel(uploadStatus))
+  if (alerts.length > 0) await appendSummary(getAlertSummary(alerts))
+  if (ledger) {
+    console.log(`Ledger: ${ledger.entries.length} uploads, ${totalDeposited} ${token} deposited in total`)
+    await appendSummary(getLedgerSummary(recentUploads, { count: ledger.entries.length, totalDeposited, token }))
+  }
+  await commentOnPR(finalContext)
+
+  if (synapse) await cleanupSynapse()
+
+  // A dry run reports the estimate first, then fails like the real run would
+  if (dryRunEstimate && hasSpendLimits(inputs)) await checkSpend(dryRunEstimate.estimate, inputs)
+  requireVerifiedRetrieval(
+    targets.map((target) => target.retrieval_verification),
+    inputs
+  )
+}
 
 /**
  * Run upload phase: Upload to Filecoin using context data from build phase
@@ -31,6 +576,13 @@ export async function runUpload() {
 
   console.log('━━━ Upload Phase: Uploading to Filecoin ━━━')
 
+  // Build-only runs (`mode: build`, fork PRs) already published their CAR in the build phase
+  const buildOnlyStatus = getGlobalContext().upload_status
+  if (buildOnlyStatus === 'built' || buildOnlyStatus === 'fork-pr-pending') {
+    console.log(`Nothing to upload (${getStatusLabel(buildOnlyStatus)})`)
+    return
+  }
+
   // Parse inputs (upload phase needs wallet)
   /** @type {ParsedInputs} */
   const inputs = parseInputs('upload')
@@ -40,24 +592,37 @@ export async function runUpload() {
     network: inputNetwork,
     minStorageDays,
     filecoinPayBalanceLimit,
+    token,
     withCDN,
-    providerAddress,
   } = inputs
 
   // Ensure we have PR context available when running from workflow_run
   await ensurePullRequestContext()
 
-  // Get context from build phase (already in memory from same workflow run)
+  // Get context from build phase (in memory, or loaded from the build step's context file)
   /** @type {Partial<CombinedContext>} */
   let ctx = getGlobalContext()
   console.log('[context-debug] Loaded context from build phase:', ctx)
 
+  // Fork content only spends funds when the repository opted in and the PR passes the gate
+  if (ctx.is_fork && ctx.upload_status === 'pending-upload') {
+    const gate = await evaluateForkGate(inputs, ctx.pr)
+    if (gate.allowed) {
+      console.log(`::notice::Fork PR upload allowed: ${gate.reason}`)
+      ctx = await mergeAndSaveContext({ fork_gate_reason: gate.reason })
+    } else {
+      console.log(`::warning::Fork PR upload blocked: ${gate.reason}`)
+      ctx = await mergeAndSaveContext({ upload_status: 'fork-pr-blocked', fork_gate_reason: gate.reason })
+    }
+  }
+
   // Check if this was a fork PR that was blocked
   if (ctx.upload_status === 'fork-pr-blocked') {
     console.log('━━━ Fork PR Upload Blocked ━━━')
     console.log('::notice::Fork PR detected - content built but not uploaded to Filecoin, will comment on PR')
 
     const rootCid = ctx.ipfs_root_cid || ''
+    ctx = await publishRunArtifacts(inputs)
 
     // Write outputs indicating fork PR was blocked
     await writeOutputs({
@@ -67,10 +632,12 @@ export async function runUpload() {
       provider_id: '',
       provider_name: '',
       car_path: ctx.car_path || '',
+      artifact_name: ctx.artifact_name || '',
+      car_download_url: ctx.car_download_url || '',
       upload_status: 'fork-pr-blocked',
     })
 
-    await writeSummary(ctx, 'Fork PR blocked')
+    await writeSummary(ctx, `Fork PR blocked${ctx.fork_gate_reason ? `: ${ctx.fork_gate_reason}` : ''}`)
 
     // Comment on PR with the actual IPFS Root CID
     await commentOnPR(ctx)
@@ -79,6 +646,11 @@ export async function runUpload() {
     return
   }
 
+  if (ctx.targets?.length) {
+    await uploadTargets(ctx, inputs, logger)
+    return
+  }
+
   if (!ctx.ipfs_root_cid) {
     throw new Error('No IPFS Root CID found in context. Build phase may have failed.')
   }
@@ -99,43 +671,114 @@ export async function runUpload() {
     throw new Error(`CAR file not found at ${carPath}`)
   }
 
+  // Identical content was already uploaded by an earlier run, nothing to pay for
+  const cached = await findCachedUpload(rootCid, inputNetwork)
+  if (cached && isReusable(cached, ctx, inputs)) {
+    await reusePreviousUpload(cached, 'reused-cache', carPath, inputs)
+    return
+  }
+
+  // Cache entries expire, artifacts of earlier runs may still remember the upload
+  const fromArtifact = await findArtifactUpload(rootCid, inputNetwork)
+  if (fromArtifact && isReusable(fromArtifact, ctx, inputs)) {
+    await reusePreviousUpload(fromArtifact, 'reused-artifact', carPath, inputs)
+    await saveUploadToCache(getGlobalContext())
+    return
+  }
+
+  // Budget limits fail the run before any transaction
+  const { size: carSize } = await stat(carPath)
+  checkCarSize(carSize, inputs)
+
   // Initialize Synapse and upload
-  if (!walletPrivateKey) {
-    throw new Error('walletPrivateKey is required for upload phase')
+  if (!walletPrivateKey && !hasExternalSigner(inputs)) {
+    throw new Error('walletPrivateKey, keystorePath, or signerUrl is required for upload phase')
   }
-  const synapse = await initializeSynapse({ walletPrivateKey, network: inputNetwork }, logger)
+  const synapse = await initializeSynapse(inputs, logger)
+
+  // Dry runs only read balances and pricing: no allowance, deposit, or upload transactions
+  if (inputs.dryRun) {
+    await reportDryRun(synapse, rootCid, carPath, inputs, logger)
+    await cleanupSynapse()
+    return
+  }
+
+  // Store the same CAR with every requested provider, the first success is reported as the primary upload
+  const providerAddresses = await resolveProviderAddresses(synapse, inputs)
+  if (hasSpendLimits(inputs)) {
+    const estimate = await estimateUpload(
+      synapse,
+      carSize * providerAddresses.length,
+      { minStorageDays, filecoinPayBalanceLimit, token, withCDN },
+      logger
+    )
+    await checkSpend(estimate, inputs)
+  }
+
+  // Allowance, deposit, and withdrawal transactions all need FIL for gas
+  await checkGasBalance(synapse, inputs.minGasBalance)
 
   // Get initial payment status to track deposits
   const initialPaymentStatus = await getPaymentStatus(synapse)
-  const paymentStatus = await handlePayments(synapse, { minStorageDays, filecoinPayBalanceLimit }, logger)
+  const paymentStatus = await handlePayments(synapse, { minStorageDays, filecoinPayBalanceLimit, token }, logger)
 
-  const uploadResult = /** @type {UploadResult} */ (
-    await uploadCarToFilecoin(synapse, carPath, rootCid, { withCDN, providerAddress }, logger)
-  )
-  const { pieceCid, pieceId, dataSetId, provider, previewURL, network } = uploadResult
+  const { pieces, uploads, uploadResults, pieceManifest, pieceManifestPath, retrievalVerification, uploadStatus } =
+    await storeCar(synapse, { rootCid, carPath, carSize }, providerAddresses, inputs, ctx, logger)
+  const { pieceCid, pieceId, dataSetId, provider, previewURL, network } = /** @type {UploadResult} */ (uploadResults[0])
 
   // Calculate the amount deposited in this run
   const initialBalance = initialPaymentStatus?.depositedAmount || 0n
   const finalBalance = paymentStatus?.depositedAmount || 0n
   const depositedThisRun = finalBalance - initialBalance
 
+  // Opt-in: return the balance above filecoinPayBalanceLimit, now that this upload's lockup is taken
+  const withdrawal = inputs.withdrawExcess
+    ? await withdrawExcess(synapse, { minStorageDays, filecoinPayBalanceLimit, token }, {}, logger)
+    : undefined
+  const withdrawnThisRun = withdrawal?.plan.amount ?? 0n
+  const currentStatus = withdrawal?.status ?? paymentStatus
+
   // Update context
+  /** @type {Partial<CombinedContext>} */
+  const verificationContext = retrievalVerification ? { retrieval_verification: retrievalVerification } : {}
   await mergeAndSaveContext({
+    ...verificationContext,
     piece_cid: pieceCid,
     piece_id: pieceId,
     data_set_id: dataSetId,
     provider,
     preview_url: previewURL,
     network,
-    content_path: contentPath,
-    upload_status: 'uploaded',
+    content_path: contentPath || ctx.content_path || '',
+    upload_status: uploadStatus,
+    uploads,
+    piece_manifest: pieceManifest,
     payment_status: {
-      depositedAmount: paymentStatus?.depositedAmount ? ethers.formatUnits(paymentStatus.depositedAmount, 18) : '0',
-      currentBalance: paymentStatus?.depositedAmount ? ethers.formatUnits(paymentStatus.depositedAmount, 18) : '0',
-      storageRunway: calculateStorageRunway(paymentStatus),
-      depositedThisRun: ethers.formatUnits(depositedThisRun, 18),
+      token,
+      depositedAmount: currentStatus?.depositedAmount ? formatTokenAmount(currentStatus.depositedAmount, token) : '0',
+      currentBalance: currentStatus?.depositedAmount ? formatTokenAmount(currentStatus.depositedAmount, token) : '0',
+      storageRunway: calculateStorageRunway(currentStatus),
+      depositedThisRun: formatTokenAmount(depositedThisRun, token),
+      ...(withdrawal ? { withdrawnThisRun: formatTokenAmount(withdrawnThisRun, token) } : {}),
     },
   })
+  ctx = await publishRunArtifacts(inputs)
+
+  // Record the upload in the repository's ledger, a failure only warns
+  const ledger =
+    inputs.ledger === 'off'
+      ? undefined
+      : await appendToLedger(toLedgerEntry(ctx, depositedThisRun), {
+          storage: inputs.ledger,
+          branch: inputs.ledgerBranch,
+          retentionDays: inputs.artifactRetentionDays,
+        })
+  const recentUploads = ledger ? getRecentEntries(ledger.entries, inputs.ledgerHistory) : []
+  const totalDeposited = ledger ? getTotalDeposited(ledger.entries, token) : ''
+
+  // Warn while someone can still top up: runway after this upload's rate was added, and wallet balances
+  const alerts = hasBalanceAlerts(inputs) ? await checkBalances(synapse, await getPaymentStatus(synapse), inputs) : []
+  if (inputs.alertIssue && hasBalanceAlerts(inputs)) await reportAlertIssue(synapse, alerts, network)
 
   // Write outputs
   await writeOutputs({
@@ -145,7 +788,18 @@ export async function runUpload() {
     provider_id: provider.id || '',
     provider_name: provider.name || '',
     car_path: carPath,
-    upload_status: 'uploaded',
+    artifact_name: ctx.artifact_name || '',
+    car_download_url: ctx.car_download_url || '',
+    upload_status: uploadStatus,
+    provider_uploads: JSON.stringify(uploads),
+    piece_manifest: pieceManifestPath,
+    piece_count: String(pieces.length),
+    verification_status: retrievalVerification?.status || 'skipped',
+    ledger_path: ledger?.path || '',
+    ledger_recent: ledger ? JSON.stringify(recentUploads) : '',
+    ledger_total_deposited: totalDeposited,
+    runway_alert: String(alerts.length > 0),
+    withdrawn: formatTokenAmount(withdrawnThisRun, token),
   })
 
   console.log('\n━━━ Upload Complete ━━━')
@@ -154,15 +808,27 @@ export async function runUpload() {
   console.log(`Data Set ID: ${dataSetId}`)
   console.log(`::notice::Upload complete. IPFS Root CID: ${rootCid}`)
   console.log(`Piece CID: ${pieceCid}`)
+  if (pieces.length > 1) console.log(`Pieces: ${pieces.length} (see ${pieceManifestPath})`)
   console.log(`Provider: ${provider.name || 'Unknown'} (ID ${provider.id || 'Unknown'})`)
   console.log(`Preview: ${previewURL}`)
+  if (uploads.length > 1) {
+    console.log(`Stored with ${uploadResults.length} of ${uploads.length} providers`)
+  }
 
-  /** @type {Partial<CombinedContext>} */
-  ctx = getGlobalContext()
-  await writeSummary(ctx, 'Uploaded')
+  // Only complete uploads known to be retrievable are worth reusing
+  if (uploadStatus === 'uploaded') await saveUploadToCache(ctx)
+  await writeSummary(ctx, getStatusLabel(uploadStatus))
+  if (alerts.length > 0) await appendSummary(getAlertSummary(alerts))
+  if (ledger) {
+    console.log(`Ledger: ${ledger.entries.length} uploads, ${totalDeposited} ${token} deposited in total`)
+    await appendSummary(getLedgerSummary(recentUploads, { count: ledger.entries.length, totalDeposited, token }))
+  }
 
   // Comment on PR
   await commentOnPR(ctx)
 
   await cleanupSynapse()
+
+  // The upload is paid for and recorded by now, only the step fails
+  requireVerifiedRetrieval([retrievalVerification], inputs)
 }
@@ -0,0 +1,130 @@
+import { asLegacyPieceCID, calculate as calculatePieceCid } from '@filoz/synapse-sdk/piece'
+import { verifyCar } from './car.js'
+import { ERROR_CODES, FilecoinPinError, getErrorMessage } from './errors.js'
+import { withRetry } from './retry.js'
+
+// Import types for JSDoc
+/**
+ * @typedef {import('./types.js').ParsedInputs} ParsedInputs
+ * @typedef {import('./types.js').RetrievalVerification} RetrievalVerification
+ */
+
+/**
+ * Fetch attempts per source before giving up (bounded by verifyTimeout as well)
+ */
+const FETCH_ATTEMPTS = 5
+
+/**
+ * Fetch a URL, retrying HTTP and network failures until the deadline
+ * @param {string} url - URL to fetch
+ * @param {number} deadline - Epoch ms by which the fetch must complete
+ * @param {string} label - Source name for log lines
+ * @param {Record<string, string>} [headers] - Request headers
+ * @returns {Promise<Uint8Array>} Response body
+ */
+async function fetchBytes(url, deadline, label, headers = {}) {
+  return await withRetry(
+    async () => {
+      const response = await fetch(url, { headers, signal: AbortSignal.timeout(Math.max(deadline - Date.now(), 1)) })
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText} from ${url}`)
+      }
+      return new Uint8Array(await response.arrayBuffer())
+    },
+    { attempts: FETCH_ATTEMPTS, deadline, label }
+  )
+}
+
+/**
+ * Check the provider serves the uploaded piece: the bytes must hash to the piece CID and form a valid CAR for the root CID
+ * @param {string} previewURL - Piece download URL from the provider
+ * @param {string} pieceCid - Piece CID returned by the upload
+ * @param {string} rootCid - IPFS Root CID of the CAR
+ * @param {number} deadline - Epoch ms by which the check must complete
+ * @param {boolean} part - The piece is one part of a split CAR and may lack the root block
+ */
+async function verifyProviderRetrieval(previewURL, pieceCid, rootCid, deadline, part) {
+  const bytes = await fetchBytes(previewURL, deadline, 'Provider retrieval')
+
+  const calculated = calculatePieceCid(bytes)
+  if (![calculated.toString(), String(asLegacyPieceCID(calculated))].includes(pieceCid)) {
+    throw new FilecoinPinError(
+      `Provider returned data with piece CID ${calculated.toString()}, expected ${pieceCid}`,
+      ERROR_CODES.VERIFICATION_FAILED
+    )
+  }
+
+  await verifyCar(bytes, rootCid, previewURL, { part })
+}
+
+/**
+ * Check an IPFS gateway serves the content: the CAR it returns must verify against the root CID
+ * @param {string} gatewayUrl - Gateway base URL (e.g. https://dweb.link)
+ * @param {string} rootCid - IPFS Root CID
+ * @param {number} deadline - Epoch ms by which the check must complete
+ */
+async function verifyGatewayRetrieval(gatewayUrl, rootCid, deadline) {
+  const url = `${gatewayUrl.replace(/\/+$/, '')}/ipfs/${rootCid}?format=car`
+  const bytes = await fetchBytes(url, deadline, 'Gateway retrieval', { Accept: 'application/vnd.ipld.car' })
+  await verifyCar(bytes, rootCid, url)
+}
+
+/**
+ * Fetch the uploaded content back and check it matches what was uploaded. A failed check is reported as
+ * `unverified`; with `verifyRetrieval: fail` the caller fails the run through requireVerifiedRetrieval once the paid
+ * upload is recorded.
+ * @param {{ rootCid: string, pieces: Array<{ previewURL: string, pieceCid: string, part?: boolean }> }} upload - Pieces stored for the root CID, with every provider
+ * @param {ParsedInputs} inputs - Parsed inputs
+ * @returns {Promise<RetrievalVerification>} Verification outcome
+ */
+export async function verifyRetrieval(upload, inputs) {
+  const { verifyRetrieval: policy, verifyGatewayUrl, verifyTimeout } = inputs
+  const deadline = Date.now() + verifyTimeout * 1000
+
+  console.log('━━━ Verifying Retrieval ━━━')
+
+  /** @type {RetrievalVerification} */
+  const result = { status: 'verified', provider: 'skipped', gateway: 'skipped' }
+  try {
+    for (const { previewURL, pieceCid, part = false } of upload.pieces) {
+      if (!previewURL) {
+        throw new FilecoinPinError(
+          `Provider returned no download URL for piece ${pieceCid}`,
+          ERROR_CODES.VERIFICATION_FAILED
+        )
+      }
+      await verifyProviderRetrieval(previewURL, pieceCid, upload.rootCid, deadline, part)
+      console.log(`✓ Provider serves piece ${pieceCid}`)
+    }
+    result.provider = 'verified'
+
+    if (verifyGatewayUrl) {
+      await verifyGatewayRetrieval(verifyGatewayUrl, upload.rootCid, deadline)
+      result.gateway = 'verified'
+      console.log(`✓ Gateway ${verifyGatewayUrl} serves ${upload.rootCid}`)
+    }
+  } catch (error) {
+    const reason = getErrorMessage(error)
+    console.log(`::${policy === 'fail' ? 'error' : 'warning'}::Retrieval verification failed: ${reason}`)
+    result.status = 'unverified'
+    result.reason = reason
+    if (result.provider === 'skipped') result.provider = 'failed'
+    else result.gateway = 'failed'
+  }
+
+  return result
+}
+
+/**
+ * Fail the run for `verifyRetrieval: fail` when an upload could not be verified. Called after the upload was saved to
+ * the context, outputs, artifact, and ledger, so the paid upload is not lost with the run.
+ * @param {Array<RetrievalVerification | undefined>} verifications - Outcome per upload, undefined when not checked
+ * @param {ParsedInputs} inputs - Parsed inputs
+ */
+export function requireVerifiedRetrieval(verifications, inputs) {
+  if (inputs.verifyRetrieval !== 'fail') return
+  const failed = verifications.find((verification) => verification?.status === 'unverified')
+  if (failed) {
+    throw new FilecoinPinError(`Retrieval verification failed: ${failed.reason}`, ERROR_CODES.VERIFICATION_FAILED)
+  }
+}
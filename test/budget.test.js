@@ -0,0 +1,140 @@
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, it } from 'node:test'
+import { TIME_CONSTANTS, TOKENS } from '@filoz/synapse-sdk'
+import { checkCarSize, checkSpend, hasSpendLimits } from '../src/budget.js'
+import { ERROR_CODES, FilecoinPinError } from '../src/errors.js'
+import { parseTokenAmount } from '../src/tokens.js'
+
+const realFetch = globalThis.fetch
+
+/** @param {string} amount - USDFC */
+const usdfc = (amount) => parseTokenAmount(amount, TOKENS.USDFC)
+
+/**
+ * Parsed inputs of the budget checks
+ * @param {Record<string, any>} overrides
+ */
+const budgetInputs = (overrides = {}) => ({
+  token: TOKENS.USDFC,
+  network: 'calibration',
+  ledger: 'branch',
+  ledgerBranch: 'filecoin-pin-ledger',
+  ...overrides,
+})
+
+/**
+ * Assert a BUDGET_EXCEEDED error for one limit
+ * @param {string} limit - Input name of the limit
+ */
+const budgetExceeded = (limit) => (/** @type {any} */ error) => {
+  assert.ok(error instanceof FilecoinPinError)
+  assert.equal(error.code, ERROR_CODES.BUDGET_EXCEEDED)
+  assert.deepEqual(error.details, { limit })
+  return true
+}
+
+/**
+ * Serve a ledger file from the ledger branch through the GitHub contents and blob APIs
+ * @param {object[]} entries - Ledger entries
+ */
+function mockLedgerBranch(entries) {
+  const content = Buffer.from(entries.map((entry) => `${JSON.stringify(entry)}\n`).join('')).toString('base64')
+  globalThis.fetch = async (url) => {
+    const { pathname } = new URL(String(url))
+    const body = pathname.includes('/git/blobs/')
+      ? { content, encoding: 'base64' }
+      : { type: 'file', sha: 'ledger-sha', path: 'ledger.jsonl' }
+    return new Response(JSON.stringify(body), { status: 200, headers: { 'content-type': 'application/json' } })
+  }
+}
+
+/**
+ * Ledger entry of a deposit
+ * @param {string} deposited - USDFC deposited
+ * @param {number} daysAgo - Age of the entry
+ * @param {Record<string, any>} overrides
+ */
+const ledgerEntry = (deposited, daysAgo, overrides = {}) => ({
+  uploaded_at: new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString(),
+  network: 'calibration',
+  token: TOKENS.USDFC,
+  deposited,
+  ...overrides,
+})
+
+describe('checkCarSize', () => {
+  it('passes without maxCarSize or at the limit', () => {
+    assert.doesNotThrow(() => checkCarSize(2048, budgetInputs()))
+    assert.doesNotThrow(() => checkCarSize(1024, budgetInputs({ maxCarSize: 1024 })))
+  })
+
+  it('fails above maxCarSize', () => {
+    assert.throws(() => checkCarSize(1025, budgetInputs({ maxCarSize: 1024 })), budgetExceeded('maxCarSize'))
+  })
+})
+
+describe('hasSpendLimits', () => {
+  it('is set by any spend limit', () => {
+    assert.equal(hasSpendLimits(budgetInputs()), false)
+    assert.equal(hasSpendLimits(budgetInputs({ maxCarSize: 1024 })), false)
+    assert.equal(hasSpendLimits(budgetInputs({ maxDepositPerRun: 0n })), true)
+    assert.equal(hasSpendLimits(budgetInputs({ maxMonthlySpend: usdfc('5') })), true)
+    assert.equal(hasSpendLimits(budgetInputs({ maxUploadCost: usdfc('1') })), true)
+  })
+})
+
+describe('checkSpend', () => {
+  beforeEach(() => {
+    process.env.GITHUB_TOKEN = 'test-token'
+    process.env.GITHUB_REPOSITORY = 'owner/repo'
+  })
+
+  afterEach(() => {
+    globalThis.fetch = realFetch
+    delete process.env.GITHUB_TOKEN
+    delete process.env.GITHUB_REPOSITORY
+  })
+
+  it('passes a deposit up to maxDepositPerRun', async () => {
+    await checkSpend({ topUp: usdfc('2') }, budgetInputs({ maxDepositPerRun: usdfc('2') }))
+  })
+
+  it('fails a deposit above maxDepositPerRun', async () => {
+    await assert.rejects(
+      checkSpend({ topUp: usdfc('2.5') }, budgetInputs({ maxDepositPerRun: usdfc('2') })),
+      budgetExceeded('maxDepositPerRun')
+    )
+  })
+
+  it('compares the monthly storage cost with maxUploadCost', async () => {
+    const ratePerEpoch = usdfc('1') / TIME_CONSTANTS.EPOCHS_PER_MONTH
+    await checkSpend({ topUp: 0n, ratePerEpoch }, budgetInputs({ maxUploadCost: usdfc('1') }))
+    await assert.rejects(
+      checkSpend({ topUp: 0n, ratePerEpoch }, budgetInputs({ maxUploadCost: usdfc('0.5') })),
+      budgetExceeded('maxUploadCost')
+    )
+  })
+
+  it('adds the deposits of the last 30 days on the network to the planned deposit', async () => {
+    mockLedgerBranch([
+      ledgerEntry('3', 1),
+      // Older entries and other networks do not count; entries of earlier releases are USDFC and do
+      ledgerEntry('100', 31),
+      ledgerEntry('100', 1, { network: 'mainnet' }),
+      { ...ledgerEntry('1', 2, { token: undefined, deposited: undefined }), deposited_usdfc: '1' },
+    ])
+    await checkSpend({ topUp: usdfc('1') }, budgetInputs({ maxMonthlySpend: usdfc('5') }))
+    await assert.rejects(
+      checkSpend({ topUp: usdfc('1.5') }, budgetInputs({ maxMonthlySpend: usdfc('5') })),
+      budgetExceeded('maxMonthlySpend')
+    )
+  })
+
+  it('fails when maxMonthlySpend cannot be enforced', async () => {
+    delete process.env.GITHUB_TOKEN
+    await assert.rejects(
+      checkSpend({ topUp: 0n }, budgetInputs({ maxMonthlySpend: usdfc('5') })),
+      /Cannot enforce maxMonthlySpend/
+    )
+  })
+})
@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, it } from 'node:test'
+import { evaluateForkGate, isForkPullRequest, isForkWorkflowRun } from '../src/fork.js'
+
+const realFetch = globalThis.fetch
+
+/** @type {Array<{ method: string, url: string }>} */
+let requests
+
+/**
+ * Answer GitHub API calls: the PR's labels, and label removal with the given status
+ * @param {{ labels: string[], removeStatus?: number }} options
+ */
+function mockGitHub({ labels, removeStatus = 200 }) {
+  globalThis.fetch = async (url, init) => {
+    const method = init?.method || 'GET'
+    requests.push({ method, url: String(url) })
+    const status = method === 'DELETE' ? removeStatus : 200
+    const body =
+      status === 200 ? labels.map((name) => ({ name })) : { message: 'Resource not accessible by integration' }
+    return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } })
+  }
+}
+
+/**
+ * Parsed inputs of the fork gate
+ * @param {Record<string, any>} overrides
+ */
+const gateInputs = (overrides = {}) => ({
+  allowForkUploads: true,
+  forkAllowedAuthors: [],
+  forkUploadLabel: '',
+  ...overrides,
+})
+
+const pr = { number: 7, sha: 'abc123', title: 'Fix docs', author: 'contributor' }
+
+describe('isForkPullRequest', () => {
+  it('compares the head and base repositories', () => {
+    const pullRequest = (head) => ({
+      pull_request: { head: { repo: { full_name: head } }, base: { repo: { full_name: 'owner/repo' } } },
+    })
+    assert.equal(isForkPullRequest(pullRequest('fork/repo')), true)
+    assert.equal(isForkPullRequest(pullRequest('owner/repo')), false)
+    assert.equal(isForkPullRequest({}), false)
+  })
+})
+
+describe('isForkWorkflowRun', () => {
+  it('compares the head repository with the repository of the run', () => {
+    const workflowRun = (head) => ({
+      workflow_run: { head_repository: { full_name: head }, repository: { full_name: 'owner/repo' } },
+    })
+    assert.equal(isForkWorkflowRun(workflowRun('fork/repo')), true)
+    assert.equal(isForkWorkflowRun(workflowRun('owner/repo')), false)
+    assert.equal(isForkWorkflowRun({ workflow_run: {} }), false)
+  })
+})
+
+describe('evaluateForkGate', () => {
+  beforeEach(() => {
+    requests = []
+    process.env.GITHUB_TOKEN = 'test-token'
+    process.env.GITHUB_REPOSITORY = 'owner/repo'
+  })
+
+  afterEach(() => {
+    globalThis.fetch = realFetch
+    delete process.env.GITHUB_TOKEN
+    delete process.env.GITHUB_REPOSITORY
+  })
+
+  it('blocks fork uploads unless allowForkUploads is set', async () => {
+    const gate = await evaluateForkGate(gateInputs({ allowForkUploads: false }), pr)
+    assert.equal(gate.allowed, false)
+  })
+
+  it('allows every fork PR when no author or label gate is configured', async () => {
+    const gate = await evaluateForkGate(gateInputs(), pr)
+    assert.equal(gate.allowed, true)
+  })
+
+  it('allows listed authors regardless of case', async () => {
+    const gate = await evaluateForkGate(gateInputs({ forkAllowedAuthors: ['Contributor'] }), pr)
+    assert.equal(gate.allowed, true)
+  })
+
+  it('blocks authors that are not listed', async () => {
+    const gate = await evaluateForkGate(gateInputs({ forkAllowedAuthors: ['maintainer'] }), pr)
+    assert.equal(gate.allowed, false)
+    assert.match(gate.reason, /contributor is not listed/)
+  })
+
+  it('allows a labeled PR once and removes the label', async () => {
+    mockGitHub({ labels: ['safe-to-upload'] })
+    const gate = await evaluateForkGate(gateInputs({ forkUploadLabel: 'safe-to-upload' }), pr)
+    assert.equal(gate.allowed, true)
+    assert.deepEqual(
+      requests.map(({ method, url }) => `${method} ${new URL(url).pathname}`),
+      ['GET /repos/owner/repo/issues/7/labels', 'DELETE /repos/owner/repo/issues/7/labels/safe-to-upload']
+    )
+  })
+
+  it('blocks a labeled PR when the label cannot be removed', async () => {
+    mockGitHub({ labels: ['safe-to-upload'], removeStatus: 403 })
+    const gate = await evaluateForkGate(gateInputs({ forkUploadLabel: 'safe-to-upload' }), pr)
+    assert.equal(gate.allowed, false)
+    assert.match(gate.reason, /could not be removed/)
+  })
+
+  it('blocks a PR without the label', async () => {
+    mockGitHub({ labels: ['documentation'] })
+    const gate = await evaluateForkGate(gateInputs({ forkUploadLabel: 'safe-to-upload' }), pr)
+    assert.equal(gate.allowed, false)
+    assert.equal(requests.length, 1)
+  })
+
+  it('blocks a labeled PR when labels cannot be read', async () => {
+    delete process.env.GITHUB_TOKEN
+    const gate = await evaluateForkGate(gateInputs({ forkUploadLabel: 'safe-to-upload' }), pr)
+    assert.equal(gate.allowed, false)
+  })
+})